@@ -0,0 +1,122 @@
+/**
+ * DefaultCampaign - Wave definitions used by Game.startWave
+ * Plain JSON data: a campaign in the same shape can be passed to
+ * Game.loadCampaign() (as an object or JSON string) without engine changes.
+ *
+ * Wave fields:
+ *   boss          - Boss wave: heroes get +50% health/damage and 20% less speed
+ *   spawnInterval - Default time between spawns in ms (±100ms jitter)
+ *   multipliers   - Extra { health, damage, speed } multipliers for every hero
+ *   onslaught     - { threshold, multiplier, spawnInterval, message } or null.
+ *                   When `threshold` of the wave is left to spawn, adds
+ *                   `multiplier` times the wave size using the wave's hero mix
+ *   groups        - Spawned one after another:
+ *     heroes        - HeroRegistry key, or a { type: weight } map rolled per
+ *                     spawn. 'random' rolls any hero whose firstWave has been
+ *                     reached, weighted by its spawnWeight
+ *     count         - Number of heroes in the group
+ *     lanes         - 'random' (default), 'sweep' (cycle through every lane)
+ *                     or an array of lane indices to pick from
+ *     spawnInterval - Overrides the wave's spawnInterval for this group
+ *
+ * The last wave of the campaign is the final one: clearing it wins the game.
+ * From wave 3 on every wave ends with a 'random' group, so each hero in
+ * HeroRegistry joins the rotation from its firstWave.
+ */
+const DefaultCampaign = {
+    name: 'The Long Night',
+    waves: [
+        {
+            spawnInterval: 980,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: 'militiant', count: 15 }
+            ]
+        },
+        {
+            spawnInterval: 960,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: 'militiant', count: 20 }
+            ]
+        },
+        {
+            spawnInterval: 940,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: 'militiant', count: 25 },
+                { heroes: 'pikedead', count: 4 },
+                { heroes: 'random', count: 5 }
+            ]
+        },
+        {
+            spawnInterval: 920,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: 'militiant', count: 30, lanes: 'sweep' },
+                { heroes: 'cleansedsister', count: 3 },
+                { heroes: 'random', count: 6 }
+            ]
+        },
+        {
+            boss: true,
+            spawnInterval: 700,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 400 },
+            groups: [
+                { heroes: 'militiant', count: 20 },
+                { heroes: { militiant: 1, ashboltscout: 1 }, count: 32 },
+                { heroes: 'seerwarden', count: 3 },
+                { heroes: 'random', count: 8 }
+            ]
+        },
+        {
+            spawnInterval: 880,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: { militiant: 1, ashboltscout: 1 }, count: 40 },
+                { heroes: 'sainthusk', count: 3 },
+                { heroes: 'gildmarcher', count: 3 },
+                { heroes: 'random', count: 8 }
+            ]
+        },
+        {
+            spawnInterval: 860,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: 'ashboltscout', count: 10, lanes: [0, 6], spawnInterval: 600 },
+                { heroes: { militiant: 1, ashboltscout: 1 }, count: 35 },
+                { heroes: 'bannerjudge', count: 3 },
+                { heroes: 'random', count: 10 }
+            ]
+        },
+        {
+            spawnInterval: 840,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: { militiant: 1, ashboltscout: 1 }, count: 50 },
+                { heroes: 'blightbreaker', count: 4 },
+                { heroes: 'random', count: 10 }
+            ]
+        },
+        {
+            spawnInterval: 820,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 500 },
+            groups: [
+                { heroes: { militiant: 1, ashboltscout: 1 }, count: 45 },
+                { heroes: 'militiant', count: 10, lanes: [2, 3, 4], spawnInterval: 400 },
+                { heroes: 'lightforged', count: 4 },
+                { heroes: 'random', count: 12 }
+            ]
+        },
+        {
+            boss: true,
+            spawnInterval: 700,
+            onslaught: { threshold: 0.2, multiplier: 2, spawnInterval: 400 },
+            groups: [
+                { heroes: { militiant: 5, ashboltscout: 2, oathblade: 3 }, count: 80 },
+                { heroes: 'oathblade', count: 10, lanes: 'sweep' },
+                { heroes: 'random', count: 15 }
+            ]
+        }
+    ]
+};
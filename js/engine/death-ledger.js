@@ -0,0 +1,80 @@
+/**
+ * DeathLedger - Per-run record of fallen minions
+ * Owned by Game; revival effects (Necrothurge) read and consume entries
+ */
+class DeathLedger {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a minion's death
+     * @param {Minion} minion - The minion that died
+     * @param {number} tick - Simulation tick of the death
+     * @param {Unit|null} killer - Unit credited with the kill
+     * @returns {Object} The ledger entry
+     */
+    record(minion, tick, killer) {
+        const entry = {
+            id: this.nextId++,
+            type: minion.getType(),
+            lane: minion.lane,
+            tile: Math.floor(minion.position),
+            tick,
+            killer: killer ? killer.getType() : null,
+            // Minions consecrated by Lightforged can never be revived
+            revivable: !minion.consecrated
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Get entries that can still be revived, most recent first
+     * @returns {Object[]} Revivable entries
+     */
+    getRevivable() {
+        return this.entries.filter(entry => entry.revivable).reverse();
+    }
+
+    /**
+     * Remove an entry once its minion has been brought back
+     * @param {Object} entry - Entry returned by getRevivable()
+     */
+    consume(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+        }
+    }
+
+    /**
+     * Forget every death
+     */
+    clear() {
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Export the ledger for a save game
+     * @returns {Object} Serialized ledger
+     */
+    serialize() {
+        return {
+            nextId: this.nextId,
+            entries: this.entries.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Restore a ledger produced by serialize()
+     * @param {Object} data - Serialized ledger
+     */
+    restore(data) {
+        this.nextId = data.nextId;
+        this.entries = data.entries.map(entry => ({ ...entry }));
+    }
+}
@@ -120,5 +120,7 @@ class EventSystem {
     }
 }
 
-// Global event system instance
-window.GameEvents = new EventSystem();
\ No newline at end of file
+// Global event system instance (browser only; each Game also owns its own bus)
+if (typeof window !== 'undefined') {
+    window.GameEvents = new EventSystem();
+}
\ No newline at end of file
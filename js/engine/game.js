@@ -3,11 +3,33 @@
  * Handles game loop, state management, and rendering
  */
 class Game {
-    constructor(canvasId) {
+    /**
+     * Create a new game
+     * @param {string|null} canvasId - Id of the canvas element to render to, or null to run headless
+     * @param {Object} [options] - Game options
+     * @param {number} [options.seed] - Seed for gameplay randomness (random if omitted)
+     * @param {Object|string} [options.campaign=DefaultCampaign] - Wave definitions to play
+     * @param {number} [options.width=1000] - Logical board width when running headless
+     * @param {number} [options.height=700] - Logical board height when running headless
+     */
+    constructor(canvasId, options = {}) {
+        // Headless games simulate without a canvas, renderer or DOM
+        this.headless = !canvasId;
+        
+        // Simulation events for presentation (floating numbers, effects);
+        // listeners must not change game state
+        this.events = new EventSystem();
+        
         // Canvas and renderer setup
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.renderer = new Renderer(this.canvas, this);
+        if (this.headless) {
+            this.canvas = null;
+            this.ctx = null;
+            this.renderer = null;
+        } else {
+            this.canvas = document.getElementById(canvasId);
+            this.ctx = this.canvas.getContext('2d');
+            this.renderer = new Renderer(this.canvas, this);
+        }
         
         // Game state
         this.daen = 10; // Starting Daen energy
@@ -15,9 +37,19 @@ class Game {
         this.selectedMinionType = null;
         this.gameOver = false;
         
+        // Seeded randomness so a run can be reproduced from its seed
+        this.requestedSeed = options.seed !== undefined ? options.seed : null;
+        this.seed = this.requestedSeed !== null ? this.requestedSeed : Random.generateSeed();
+        this.random = new Random(this.seed);
+        
+        // Timed events (spawns, wave preparation) run on simulation time
+        this.scheduler = new Scheduler();
+        
+        // Fallen minions, for revival effects
+        this.deathLedger = new DeathLedger();
+        
         // Wave management
         this.waveNumber = 0;
-        this.waveTimer = 0;
         this.baseWaveInterval = 30000; // Base time between waves (30 seconds)
         this.minWaveInterval = 10000;  // Minimum time between waves (10 seconds)
         this.waveInterval = this.baseWaveInterval;
@@ -26,15 +58,24 @@ class Game {
         this.onslaughtTriggered = false;
         this.onslaughtComplete = false;
         this.bossWave = false;
-        this.spawnTimer = 0;
         this.spawnDelay = 1000; // Start with 1 second between spawns
+        this.spawnQueue = [];   // Heroes still to spawn this wave
+        this.currentWave = null;
+        
+        // Wave definitions
+        this.campaign = null;
+        this.loadCampaign(options.campaign || DefaultCampaign);
         
         // Grid configuration
         this.laneCount = 7;
         this.tileCount = 10;
         
         // Set initial canvas size and calculate dimensions
-        this.resizeCanvas();
+        if (this.headless) {
+            this.setDimensions(options.width || 1000, options.height || 700);
+        } else {
+            this.resizeCanvas();
+        }
         
         // Initialize lanes
         this.initializeLanes();
@@ -42,10 +83,50 @@ class Game {
         // Animation frame ID for cancellation
         this.animationFrameId = null;
         
+        // Fixed timestep simulation
+        this.fixedTimeStep = 1000 / 60; // Simulation always advances in 60Hz ticks
+        this.maxFrameTime = 250;        // Clamp long frames (tab stalls) to avoid a spiral of death
+        this.accumulator = 0;
+        this.tick = 0;                  // Number of simulation ticks since the run started
+        this.renderAlpha = 0;           // Interpolation factor between the last two ticks
+        this.timeScale = 1;             // Game speed multiplier (1x, 2x, 4x)
+        
+        // Player commands are recorded by tick so the run can be replayed
+        this.replayRecorder = new ReplayRecorder(this.seed);
+        this.replayPlayer = null;
+        
+        // Save slots (set by the page; headless games do not save)
+        this.saveManager = null;
+        
         // Game state flags
         this.isPaused = false;
         this.isPreparingNextWave = false;
-        this.preparationTimer = 0;
+        
+        // Count down to the first wave
+        this.scheduleFirstWave();
+    }
+    
+    /**
+     * Schedule the first wave of the run
+     */
+    scheduleFirstWave() {
+        this.scheduler.schedule(this.waveInterval, () => this.spawnWave(), 'nextWave');
+    }
+    
+    /**
+     * Get the time until the next wave starts
+     * @returns {number|null} Remaining time in ms, or null if no wave is pending
+     */
+    getTimeUntilNextWave() {
+        return this.scheduler.timeUntil('nextWave');
+    }
+    
+    /**
+     * Get the time until the next hero spawns in the current wave
+     * @returns {number|null} Remaining time in ms, or null if no spawn is pending
+     */
+    getTimeUntilNextSpawn() {
+        return this.scheduler.timeUntil('heroSpawn');
     }
     
     /**
@@ -72,8 +153,7 @@ class Game {
         this.canvas.height = height;
         
         // Recalculate tile dimensions
-        this.tileWidth = this.canvas.width / this.tileCount;
-        this.laneHeight = this.canvas.height / this.laneCount;
+        this.setDimensions(width, height);
         
         // Update renderer dimensions
         this.renderer.updateDimensions();
@@ -82,6 +162,18 @@ class Game {
         this.updateUIAfterResize();
     }
     
+    /**
+     * Set the logical board size and derived tile dimensions
+     * @param {number} width - Board width in pixels
+     * @param {number} height - Board height in pixels
+     */
+    setDimensions(width, height) {
+        this.width = width;
+        this.height = height;
+        this.tileWidth = width / this.tileCount;
+        this.laneHeight = height / this.laneCount;
+    }
+    
     /**
      * Update UI elements after canvas resize
      */
@@ -98,7 +190,58 @@ class Game {
      * @param {string} minionType - The type of minion to select
      */
     selectMinion(minionType) {
+        if (this.selectedMinionType === minionType) return;
+        
         this.selectedMinionType = minionType;
+        this.recordCommand('select', minionType);
+    }
+    
+    /**
+     * Record a player command for the replay
+     * Commands are not recorded while a replay is being played back
+     * @param {string} type - Command type
+     * @param {...*} args - Command arguments
+     */
+    recordCommand(type, ...args) {
+        if (this.replayPlayer) return;
+        this.replayRecorder.record(this.tick, type, args);
+    }
+    
+    /**
+     * Export the current run as a replay
+     * @returns {Object} Replay data
+     */
+    exportReplay() {
+        return this.replayRecorder.toJSON(this.tick);
+    }
+    
+    /**
+     * Pause or resume the game
+     * @param {boolean} paused - True to pause
+     */
+    setPaused(paused) {
+        if (this.isPaused === paused) return;
+        
+        this.isPaused = paused;
+        this.recordCommand('pause', paused);
+    }
+    
+    /**
+     * Toggle the paused state
+     */
+    togglePause() {
+        this.setPaused(!this.isPaused);
+    }
+    
+    /**
+     * Set the game speed
+     * @param {number} scale - Speed multiplier (1, 2 or 4)
+     */
+    setTimeScale(scale) {
+        if (this.timeScale === scale) return;
+        
+        this.timeScale = scale;
+        this.recordCommand('speed', scale);
     }
     
     /**
@@ -154,8 +297,7 @@ class Game {
             // Update UI
             this.updateDaenDisplay();
             
-            // Play placement sound or effect
-            this.playSound('place');
+            this.recordCommand('place', laneIndex, tileIndex);
             
             return true;
         }
@@ -163,10 +305,32 @@ class Game {
         return false;
     }
     
+    /**
+     * Change the targeting strategy of a placed minion
+     * @param {number} laneIndex - The lane index
+     * @param {number} tileIndex - The tile index
+     * @param {string} strategy - Key in TargetingStrategies
+     * @returns {boolean} True if a minion was there to change
+     * @throws {Error} If the strategy is unknown
+     */
+    setMinionTargeting(laneIndex, tileIndex, strategy) {
+        const lane = this.lanes[laneIndex];
+        const tile = lane && lane.tiles[tileIndex];
+        if (!tile || !tile.minion) {
+            return false;
+        }
+        
+        tile.minion.setTargeting(strategy);
+        this.recordCommand('targeting', laneIndex, tileIndex, strategy);
+        return true;
+    }
+    
     /**
      * Update the Daen display in the UI
      */
     updateDaenDisplay() {
+        if (this.headless) return;
+        
         const daenElement = document.getElementById('daen-count');
         if (daenElement) {
             daenElement.textContent = Math.floor(this.daen);
@@ -176,8 +340,8 @@ class Game {
     /**
      * Display floating text at a position
      * @param {string} text - The text to display
-     * @param {number} [x=this.canvas.width/2] - X position (centered by default)
-     * @param {number} [y=this.canvas.height/2] - Y position (centered by default)
+     * @param {number} [x=this.width/2] - X position (centered by default)
+     * @param {number} [y=this.height/2] - Y position (centered by default)
      * @param {string} [color='#ffffff'] - Text color
      * @param {number} [duration=1000] - Duration in ms
      * @param {string} [font='24px Arial'] - Font style
@@ -185,9 +349,218 @@ class Game {
      * @returns {void}
      */
     showFloatingText(text, x, y, color, duration, font, effect) {
+        if (!this.renderer) return;
+        
         this.renderer.showFloatingText(text, x, y, color, duration, font, effect);
     }
     
+    /**
+     * Work out and pay the Daen rewards for a kill
+     * Rewards come from the base rules (getBaseKillRewards) and from units with a
+     * getKillRewards(kill) hook. Before anything is paid, every unit on the board
+     * and the killer (even one that died in the same exchange) may veto a reward
+     * through a vetoesReward(reward, kill) hook.
+     * @param {Object} kill - Attribution record from Unit.createKillRecord
+     * @returns {Object[]} Rewards: { id, amount, lane, position, color, source, vetoedBy }
+     */
+    resolveKillRewards(kill) {
+        const units = this.lanes.flatMap(lane => [...lane.minions, ...lane.heroes]);
+        
+        const rewards = this.getBaseKillRewards(kill);
+        for (const unit of units) {
+            if (typeof unit.getKillRewards === 'function') {
+                rewards.push(...unit.getKillRewards(kill));
+            }
+        }
+        
+        const vetoers = kill.killer && !units.includes(kill.killer) ? [...units, kill.killer] : units;
+        for (const reward of rewards) {
+            reward.vetoedBy = vetoers.find(unit =>
+                typeof unit.vetoesReward === 'function' && unit.vetoesReward(reward, kill)
+            ) || null;
+            
+            const x = reward.position * this.tileWidth;
+            const y = reward.lane * this.laneHeight + 20;
+            if (reward.vetoedBy) {
+                this.showFloatingText('No Daen', x, y, '#9e9e9e');
+                continue;
+            }
+            
+            this.daen += reward.amount;
+            this.showFloatingText(`+${reward.amount} Daen`, x, y, reward.color);
+        }
+        
+        this.updateDaenDisplay();
+        this.events.emit('unit:killed', { kill, rewards });
+        return rewards;
+    }
+    
+    /**
+     * Get the rewards every kill is worth before unit hooks and vetoes
+     * Heroes have a 50% chance to drop 1 Daen; minion deaths pay nothing
+     * @param {Object} kill - Attribution record from Unit.createKillRecord
+     * @returns {Object[]} Rewards
+     */
+    getBaseKillRewards(kill) {
+        const { victim } = kill;
+        if (!(victim instanceof Hero) || !this.random.chance(0.5)) return [];
+        
+        return [{
+            id: 'bounty',
+            amount: 1,
+            lane: victim.lane,
+            position: victim.position,
+            color: '#9c27b0',
+            source: null
+        }];
+    }
+    
+    /**
+     * Bring a fallen minion back from the death ledger
+     * @param {Object} entry - Ledger entry from deathLedger.getRevivable()
+     * @param {number} healthFraction - Fraction of max HP to revive with
+     * @returns {Minion|null} The revived minion, or null if it was consecrated or its lane has no free tile
+     */
+    reviveMinion(entry, healthFraction) {
+        const MinionClass = MinionRegistry[entry.type];
+        if (!MinionClass || !entry.revivable) return null;
+        
+        const lane = this.lanes[entry.lane];
+        const tileIndex = this.findFreeTile(lane, entry.tile);
+        if (tileIndex === null) return null;
+        
+        const minion = new MinionClass(entry.lane, tileIndex, this);
+        minion.health = minion.maxHealth * healthFraction;
+        lane.placeMinion(minion, tileIndex);
+        this.deathLedger.consume(entry);
+        
+        this.showEffect('revive', entry.lane, tileIndex, { color: '#69f0ae', duration: 800 });
+        return minion;
+    }
+    
+    /**
+     * Summon a minion next to a source unit, for free
+     * @param {string} type - MinionRegistry key
+     * @param {Unit} source - Unit doing the summoning
+     * @param {Object} [options]
+     * @param {number} [options.laneRange=1] - Lanes searched either side of the source
+     * @param {number} [options.tileRange=1] - Tiles searched either side of the source
+     * @param {number|null} [options.lifetime=null] - Lifetime in ms, null for permanent
+     * @returns {Minion|null} The summoned minion, or null if no tile is free
+     * @throws {Error} If the minion type is unknown
+     */
+    summonMinion(type, source, { laneRange = 1, tileRange = 1, lifetime = null } = {}) {
+        const MinionClass = MinionRegistry[type];
+        if (!MinionClass) {
+            throw new Error(`Unknown minion type: ${type}`);
+        }
+        
+        const spot = this.findSummonTile(source.lane, Math.floor(source.position), laneRange, tileRange);
+        if (!spot) return null;
+        
+        const minion = new MinionClass(spot.lane, spot.tile, this);
+        minion.summoned = true;
+        minion.summoner = source;
+        minion.cost = 0; // Summons are worth nothing
+        minion.lifetime = lifetime;
+        minion.maxLifetime = lifetime;
+        this.lanes[spot.lane].placeMinion(minion, spot.tile);
+        
+        this.showEffect('summon', spot.lane, spot.tile, { color: '#b388ff', duration: 600 });
+        return minion;
+    }
+    
+    /**
+     * Find the free tile nearest a point, searching adjacent lanes too
+     * Ties prefer the same lane, then the tile nearer the castle
+     * @param {number} laneIndex - Lane index of the center
+     * @param {number} tileIndex - Tile index of the center (itself excluded)
+     * @param {number} laneRange - Lanes searched either side
+     * @param {number} tileRange - Tiles searched either side
+     * @returns {Object|null} { lane, tile } or null if every tile is taken
+     */
+    findSummonTile(laneIndex, tileIndex, laneRange, tileRange) {
+        const candidates = [];
+        
+        for (let lane = laneIndex - laneRange; lane <= laneIndex + laneRange; lane++) {
+            if (lane < 0 || lane >= this.lanes.length) continue;
+            
+            for (let tile = tileIndex - tileRange; tile <= tileIndex + tileRange; tile++) {
+                if (lane === laneIndex && tile === tileIndex) continue;
+                candidates.push({ lane, tile });
+            }
+        }
+        
+        const distance = spot => Math.abs(spot.lane - laneIndex) + Math.abs(spot.tile - tileIndex);
+        candidates.sort((a, b) =>
+            distance(a) - distance(b) ||
+            Math.abs(a.lane - laneIndex) - Math.abs(b.lane - laneIndex) ||
+            a.tile - b.tile ||
+            a.lane - b.lane
+        );
+        
+        return candidates.find(spot => this.lanes[spot.lane].canPlaceAt(spot.tile)) || null;
+    }
+    
+    /**
+     * Find the free tile closest to a preferred one
+     * @param {Lane} lane - Lane to search
+     * @param {number} preferredTile - Tile to try first
+     * @returns {number|null} Tile index, or null if the lane is full
+     */
+    findFreeTile(lane, preferredTile) {
+        for (let offset = 0; offset < lane.tileCount; offset++) {
+            // Prefer the tile nearer the castle when two are equally close
+            for (const tileIndex of [preferredTile - offset, preferredTile + offset]) {
+                if (lane.canPlaceAt(tileIndex)) return tileIndex;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Show a visual effect on the board
+     * @param {string} type - Effect type understood by Renderer.drawEffects
+     * @param {number} laneIndex - Lane index of the effect center
+     * @param {number} position - Tile position of the effect center
+     * @param {Object} [options] - Extra effect settings (laneRange, tileRange, color, duration)
+     */
+    showEffect(type, laneIndex, position, options = {}) {
+        if (!this.renderer) return;
+        
+        this.renderer.addEffect({ ...options, type, lane: laneIndex, position });
+    }
+    
+    /**
+     * Find units in a rectangular area spanning lanes and tiles
+     * @param {number} laneIndex - Lane index of the area center
+     * @param {number} position - Tile position of the area center
+     * @param {number} laneRange - Lanes included either side of the center
+     * @param {number} tileRange - Maximum distance in tiles from the center
+     * @param {string} [team='all'] - 'heroes', 'minions' or 'all'
+     * @returns {Unit[]} Units in the area, in lane order
+     */
+    getUnitsInArea(laneIndex, position, laneRange, tileRange, team = 'all') {
+        const units = [];
+        const firstLane = Math.max(0, laneIndex - laneRange);
+        const lastLane = Math.min(this.lanes.length - 1, laneIndex + laneRange);
+        
+        for (let i = firstLane; i <= lastLane; i++) {
+            const lane = this.lanes[i];
+            const candidates = team === 'heroes' ? lane.heroes
+                : team === 'minions' ? lane.minions
+                : [...lane.minions, ...lane.heroes];
+            
+            for (const unit of candidates) {
+                if (Math.abs(unit.position - position) <= tileRange) {
+                    units.push(unit);
+                }
+            }
+        }
+        
+        return units;
+    }
+    
     /**
      * Generate Daen over time
      * @param {number} deltaTime - Time elapsed since last update in ms
@@ -200,6 +573,10 @@ class Game {
     
     /**
      * Get the wave scaling factor for hero stats
+     * Scaling is baked into a hero's base health and damage once, at spawn
+     * (see spawnHeroInLane). Status effects and lane auras multiply those
+     * scaled values when read through Unit.getStat, so effective damage is
+     * base x wave scaling x wave/boss multipliers x status effects x auras.
      * @returns {number} Scaling factor (1.0 for wave 1, 1.05 for wave 2, etc.)
      */
     getWaveScaling() {
@@ -208,35 +585,131 @@ class Game {
     }
 
     /**
-     * Calculate the number of heroes to spawn in this wave
-     * @returns {number} Number of heroes to spawn
+     * Load a campaign of wave definitions
+     * @param {Object|string} definition - Campaign object or JSON string (see js/data/waves.js)
+     * @throws {Error} If the campaign is malformed
      */
-    calculateHeroCount() {
-        // Base heroes: 10 + 5 per wave
-        let count = 10 + (this.waveNumber * 5);
+    loadCampaign(definition) {
+        const campaign = typeof definition === 'string' ? JSON.parse(definition) : definition;
         
-        // Boss wave (every 5 waves) has 50% more heroes
-        if (this.waveNumber % 5 === 0) {
-            count = Math.floor(count * 1.5);
-            this.bossWave = true;
-        } else {
-            this.bossWave = false;
+        if (!campaign || !Array.isArray(campaign.waves) || campaign.waves.length === 0) {
+            throw new Error('Campaign must define at least one wave');
+        }
+        
+        campaign.waves.forEach((wave, index) => {
+            if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+                throw new Error(`Wave ${index + 1} must define at least one group`);
+            }
+            for (const group of wave.groups) {
+                if (!group.heroes || !(group.count > 0)) {
+                    throw new Error(`Wave ${index + 1} has a group without heroes or a positive count`);
+                }
+                
+                // Catch typos in hero types when the campaign loads, not mid-wave
+                const heroTypes = typeof group.heroes === 'string' ? [group.heroes] : Object.keys(group.heroes);
+                for (const heroType of heroTypes) {
+                    if (heroType !== 'random' && !HeroRegistry[heroType]) {
+                        throw new Error(`Wave ${index + 1} uses unknown hero type: ${heroType}`);
+                    }
+                }
+            }
+        });
+        
+        this.campaign = campaign;
+    }
+    
+    /**
+     * Get the definition of a wave
+     * Waves past the end of the campaign repeat the last definition
+     * @param {number} waveNumber - Wave number (1-based)
+     * @returns {Object} Wave definition
+     */
+    getWaveDefinition(waveNumber) {
+        const waves = this.campaign.waves;
+        return waves[Math.min(waveNumber, waves.length) - 1];
+    }
+    
+    /**
+     * Build the spawn queue for a list of groups
+     * @param {Object[]} groups - Group definitions
+     * @param {number} [defaultInterval=this.spawnDelay] - Spawn interval for groups without their own
+     * @returns {Object[]} Queue entries ({ heroes, lanes, index, spawnInterval })
+     */
+    buildSpawnQueue(groups, defaultInterval = this.spawnDelay) {
+        const queue = [];
+        
+        for (const group of groups) {
+            for (let i = 0; i < group.count; i++) {
+                queue.push({
+                    heroes: group.heroes,
+                    lanes: group.lanes || 'random',
+                    index: i,
+                    spawnInterval: group.spawnInterval || defaultInterval
+                });
+            }
+        }
+        
+        return queue;
+    }
+    
+    /**
+     * Pick the hero type for a spawn
+     * @param {string|Object} heroes - Hero type key, 'random', or a { type: weight } map
+     * @returns {string} Hero type key
+     */
+    rollHeroType(heroes) {
+        const heroType = typeof heroes === 'string' ? heroes : this.rollWeighted(heroes);
+        return heroType === 'random' ? this.rollRandomHeroType() : heroType;
+    }
+    
+    /**
+     * Roll a hero from the registry, weighted by each hero's spawnWeight
+     * Only heroes whose firstWave has been reached are eligible
+     * @returns {string} Hero type key
+     */
+    rollRandomHeroType() {
+        const weights = {};
+        for (const [type, HeroClass] of Object.entries(HeroRegistry)) {
+            if (HeroClass.firstWave <= this.waveNumber) {
+                weights[type] = HeroClass.spawnWeight;
+            }
         }
         
-        return count;
+        // Early custom waves may precede every hero's first wave
+        return Object.keys(weights).length > 0 ? this.rollWeighted(weights) : 'militiant';
     }
     
     /**
-     * Check if onslaught should be triggered
+     * Pick a key from a { key: weight } map
+     * @param {Object} weights - Relative weights
+     * @returns {string} The chosen key
      */
-    checkForOnslaught() {
-        if (this.onslaughtTriggered || this.onslaughtComplete) return;
+    rollWeighted(weights) {
+        const entries = Object.entries(weights);
+        if (entries.length === 1) return entries[0][0];
         
-        // Trigger onslaught when 20% of wave remains
-        const onslaughtThreshold = Math.ceil(this.heroesInWave * 0.2);
-        if (this.heroesRemaining <= onslaughtThreshold) {
-            this.triggerOnslaught();
+        const totalWeight = entries.reduce((total, [, weight]) => total + weight, 0);
+        let roll = this.random.next() * totalWeight;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return type;
         }
+        return entries[entries.length - 1][0];
+    }
+    
+    /**
+     * Pick the lane for a spawn from its lane pattern
+     * @param {Object} entry - Spawn queue entry
+     * @returns {number} Lane index
+     */
+    chooseSpawnLane(entry) {
+        if (Array.isArray(entry.lanes)) {
+            return entry.lanes[this.random.int(entry.lanes.length)];
+        }
+        if (entry.lanes === 'sweep') {
+            return entry.index % this.laneCount;
+        }
+        return this.random.int(this.laneCount);
     }
     
     /**
@@ -251,19 +724,30 @@ class Game {
         this.onslaughtTriggered = true;
         this.onslaughtComplete = false;
         
-        // Add more heroes for onslaught based on multiplier
+        const onslaught = this.currentWave.onslaught || {};
+        
+        // Onslaught heroes use the wave's hero mix, weighted by group size
+        const heroMix = {};
+        for (const group of this.currentWave.groups) {
+            const heroes = typeof group.heroes === 'string' ? { [group.heroes]: 1 } : group.heroes;
+            const totalWeight = Object.values(heroes).reduce((total, weight) => total + weight, 0);
+            for (const [type, weight] of Object.entries(heroes)) {
+                heroMix[type] = (heroMix[type] || 0) + group.count * weight / totalWeight;
+            }
+        }
+        
+        // Add more heroes for onslaught based on multiplier, spawned faster
         const onslaughtCount = Math.ceil(this.heroesInWave * multiplier);
+        this.spawnDelay = onslaught.spawnInterval || this.spawnDelay;
+        this.spawnQueue.push(...this.buildSpawnQueue([{ heroes: heroMix, count: onslaughtCount }]));
         this.heroesInWave += onslaughtCount;
-        this.heroesRemaining += onslaughtCount;
-        
-        // Faster spawn rate during onslaught
-        this.spawnDelay = this.bossWave ? 400 : 500;
+        this.heroesRemaining = this.spawnQueue.length;
         
         // Visual/audio feedback
         this.showFloatingText(
             message,
-            this.canvas.width / 2, 
-            this.canvas.height / 2, 
+            this.width / 2, 
+            this.height / 2, 
             color, 
             duration,
             font
@@ -273,44 +757,38 @@ class Game {
     /**
      * Start a new wave
      * @param {Object} [options] - Wave configuration options
-     * @param {boolean} [options.isBossWave] - Whether this is a boss wave
-     * @param {number} [options.heroCount] - Override calculated hero count
-     * @param {number} [options.spawnDelay] - Override default spawn delay
-     * @param {string} [options.waveType='normal'] - Type of wave: 'normal', 'fast', 'elite', 'mixed'
      * @param {number} [options.waveNumber] - Override the wave number
+     * @param {Object} [options.wave] - Use this wave definition instead of the campaign's
      */
     startWave(options = {}) {
         this.waveNumber = options.waveNumber !== undefined ? options.waveNumber : this.waveNumber + 1;
+        this.currentWave = options.wave || this.getWaveDefinition(this.waveNumber);
+        this.bossWave = !!this.currentWave.boss;
         this.onslaughtTriggered = false;
         this.onslaughtComplete = false;
         this.isPreparingNextWave = false;
+        this.scheduler.cancelTag('nextWave');
         
-        // Calculate number of heroes for this wave
-        this.heroesInWave = options.heroCount || this.calculateHeroCount();
+        // Queue up every hero in the wave
+        this.spawnDelay = this.currentWave.spawnInterval || 1000;
+        this.spawnQueue = this.buildSpawnQueue(this.currentWave.groups);
+        this.heroesInWave = this.spawnQueue.length;
         this.heroesRemaining = this.heroesInWave;
         
-        // Set spawn delay
-        if (options.spawnDelay !== undefined) {
-            this.spawnDelay = options.spawnDelay;
-        } else {
-            // Default spawn delay based on wave number (faster in later waves)
-            this.spawnDelay = Math.max(300, 1000 - (this.waveNumber * 20));
-            if (options.isBossWave || this.bossWave) {
-                this.spawnDelay = 700; // Slightly faster for boss waves
-                this.bossWave = true;
-            }
-        }
-        
-        // Reset spawn timer
-        this.spawnTimer = 0;
+        // Drop any spawns still pending from a previous wave
+        this.scheduler.cancelTag('heroSpawn');
         
-        console.log(`Starting ${options.waveType || 'normal'} Wave ${this.waveNumber} with ${this.heroesInWave} heroes`);
+        console.log(`Starting ${this.bossWave ? 'boss' : 'normal'} Wave ${this.waveNumber} with ${this.heroesInWave} heroes`);
         
         // Visual feedback for boss waves
         if (this.bossWave) {
+            const bossWaveCount = this.campaign.waves
+                .slice(0, this.waveNumber)
+                .filter(wave => wave.boss).length;
+            
             this.showFloatingText(
-                `BOSS WAVE ${Math.floor(this.waveNumber / 5)}!`,
-                this.canvas.width / 2,
+                `BOSS WAVE ${bossWaveCount}!`,
+                this.width / 2,
                 100,
                 '#ff0000',
                 2500,
@@ -319,26 +797,13 @@ class Game {
         }
     }
     
-
-    
     /**
      * Spawn a new wave of heroes
-     * @param {Object} [options] - Wave configuration options
-     * @param {number} [options.waveNumber] - Override the wave number
-     * @param {number} [options.heroCount] - Override calculated hero count
-     * @param {boolean} [options.isBossWave] - Force boss wave status
-     * @param {number} [options.spawnDelay] - Override default spawn delay
-     * @param {string} [options.waveType='normal'] - Type of wave: 'normal', 'fast', 'elite', 'mixed'
+     * @param {Object} [options] - Wave configuration options (see startWave)
      */
     spawnWave(options = {}) {
         // Start the wave with custom options
-        this.startWave({
-            isBossWave: options.isBossWave,
-            heroCount: options.heroCount,
-            spawnDelay: options.spawnDelay,
-            waveType: options.waveType,
-            waveNumber: options.waveNumber
-        });
+        this.startWave(options);
         
         // Start spawning heroes
         this.spawnNextHero();
@@ -348,7 +813,7 @@ class Game {
      * Spawn the next hero in the wave
      */
     spawnNextHero() {
-        if (this.heroesRemaining <= 0) {
+        if (this.spawnQueue.length === 0) {
             // No more heroes to spawn in this wave
             if (this.onslaughtTriggered) {
                 this.onslaughtComplete = true;
@@ -357,29 +822,40 @@ class Game {
             return;
         }
         
-        // Choose a random lane
-        const laneIndex = Math.floor(Math.random() * this.laneCount);
-        this.spawnHeroInLane(laneIndex);
+        // Spawn the next queued hero
+        const entry = this.spawnQueue.shift();
+        const multipliers = this.currentWave.multipliers || {};
+        const laneIndex = this.chooseSpawnLane(entry);
+        this.spawnHeroInLane(laneIndex, {
+            heroType: this.rollHeroType(entry.heroes),
+            healthMultiplier: multipliers.health,
+            damageMultiplier: multipliers.damage,
+            speedMultiplier: multipliers.speed,
+            boss: this.bossWave
+        });
         
         // Update counters
-        this.heroesRemaining--;
+        this.heroesRemaining = this.spawnQueue.length;
         
-        // Check for onslaught (when 20% of wave remains)
-        const onslaughtThreshold = Math.ceil(this.heroesInWave * 0.2);
-        if (this.heroesRemaining === onslaughtThreshold && !this.onslaughtTriggered) {
-            this.triggerOnslaught();
-                }
+        // Check for onslaught (when the wave's threshold remains)
+        const onslaught = this.currentWave.onslaught;
+        if (onslaught && !this.onslaughtTriggered) {
+            const onslaughtThreshold = Math.ceil(this.heroesInWave * onslaught.threshold);
+            if (this.heroesRemaining === onslaughtThreshold) {
+                this.triggerOnslaught(onslaught.multiplier, onslaught.message);
+            }
+        }
                 
         // Schedule next spawn if there are more heroes to spawn
-        if (this.heroesRemaining > 0) {
-            // Calculate delay based on whether we're in onslaught or not
-            let delay = this.spawnDelay;
+        if (this.spawnQueue.length > 0) {
+            // Onslaught spawns use the onslaught rate, others their group's interval
+            let delay = this.onslaughtTriggered ? this.spawnDelay : this.spawnQueue[0].spawnInterval;
             
             // Add some randomness to make it feel more organic
-            delay += (Math.random() * 200) - 100; // ±100ms
+            delay += this.random.range(-100, 100); // ±100ms
             
-            // Schedule next spawn
-            setTimeout(() => this.spawnNextHero(), Math.max(100, delay));
+            // Schedule next spawn on simulation time
+            this.scheduler.schedule(Math.max(100, delay), () => this.spawnNextHero(), 'heroSpawn');
         } else if (this.onslaughtTriggered) {
             // If we're in onslaught and out of heroes, mark as complete
             this.onslaughtComplete = true;
@@ -391,7 +867,8 @@ class Game {
      * Spawn a hero in a specific lane with customizable properties
      * @param {number} laneIndex - The lane index to spawn the hero in
      * @param {Object} [options] - Hero spawn options
-     * @param {string} [options.heroType] - Force specific hero type ('militant', 'ashbolt', 'oathblade')
+     * @param {string} [options.heroType='militiant'] - Hero type ('militiant', 'ashboltscout', 'oathblade')
+     * @param {boolean} [options.boss=false] - Apply boss wave scaling
      * @param {number} [options.healthMultiplier=1] - Scale the hero's health
      * @param {number} [options.damageMultiplier=1] - Scale the hero's damage
      * @param {number} [options.speedMultiplier=1] - Scale the hero's speed
@@ -407,33 +884,8 @@ class Game {
         const waveScaling = this.getWaveScaling();
         const startTile = options.startTile !== undefined ? options.startTile : this.tileCount - 1;
         
-        // Determine hero type
-        let hero;
-        if (options.heroType) {
-            // Use specified hero type if provided
-            switch (options.heroType.toLowerCase()) {
-                case 'ashbolt':
-                case 'ashboltscout':
-                    hero = new AshboltScout(laneIndex, startTile, this);
-                    break;
-                case 'oathblade':
-                    hero = new Oathblade(laneIndex, startTile, this);
-                    break;
-                case 'militant':
-                default:
-                    hero = new Militiant(laneIndex, startTile, this);
-            }
-        } else {
-            // Randomly select based on wave number if no type specified
-            const heroTypeRoll = Math.random();
-            if (this.waveNumber >= 10 && heroTypeRoll > 0.7) {
-                hero = new Oathblade(laneIndex, startTile, this);
-            } else if (this.waveNumber >= 5 && heroTypeRoll > 0.5) {
-                hero = new AshboltScout(laneIndex, startTile, this);
-            } else {
-                hero = new Militiant(laneIndex, startTile, this);
-            }
-        }
+        // Hero composition comes from the wave definitions; default to a basic hero
+        const hero = this.createHero(options.heroType || 'militiant', laneIndex, startTile);
         
         // Apply scaling and multipliers
         const healthScale = waveScaling * (options.healthMultiplier || 1);
@@ -446,8 +898,8 @@ class Game {
         hero.damage = Math.ceil(hero.damage * damageScale);
         hero.moveSpeed *= speedScale;
         
-        // Boss wave scaling (every 5 waves)
-        if (this.waveNumber % 5 === 0) {
+        // Boss wave scaling
+        if (options.boss) {
             hero.health = Math.ceil(hero.health * 1.5);
             hero.maxHealth = hero.health;
             hero.damage = Math.ceil(hero.damage * 1.5);
@@ -459,7 +911,7 @@ class Game {
         hero.moveSpeed *= waveSpeedScale;
         
         // Random speed variation for more dynamic waves
-        hero.moveSpeed *= (0.9 + Math.random() * 0.2); // ±10% speed variation
+        hero.moveSpeed *= this.random.range(0.9, 1.1); // ±10% speed variation
         
         // Add to lane
         this.lanes[laneIndex].addHero(hero);
@@ -467,7 +919,7 @@ class Game {
         // Show wave indicator for player
         this.showFloatingText(
             `Wave ${this.waveNumber} - ${hero.constructor.name}`,
-            this.canvas.width / 2,
+            this.width / 2,
             50,
             '#ffffff',
             2000
@@ -476,6 +928,22 @@ class Game {
         return hero;
     }
     
+    /**
+     * Create a hero instance by type name
+     * @param {string} heroType - HeroRegistry key
+     * @param {number} laneIndex - The lane index
+     * @param {number} position - Starting position in tiles
+     * @returns {Hero} The new hero (not yet added to a lane)
+     * @throws {Error} If the hero type is not registered
+     */
+    createHero(heroType, laneIndex, position) {
+        const HeroClass = HeroRegistry[heroType];
+        if (!HeroClass) {
+            throw new Error(`Unknown hero type: ${heroType}`);
+        }
+        return new HeroClass(laneIndex, position, this);
+    }
+    
     /**
      * Check if any hero has reached the castle (game over condition)
      */
@@ -490,8 +958,8 @@ class Game {
             }
         }
         
-        // Check for victory (all waves cleared)
-        if (this.waveNumber >= 10 && this.areAllHeroesDead()) {
+        // Check for victory (final wave fully spawned and cleared)
+        if (this.waveNumber >= this.campaign.waves.length && this.spawnQueue.length === 0 && this.areAllHeroesDead()) {
             this.gameOver = true;
             this.victory = true;
         }
@@ -536,55 +1004,91 @@ class Game {
         // Show bonus message
         this.showFloatingText(
             `+${waveBonus} Daen Bonus!`,
-            this.canvas.width / 2,
-            this.canvas.height / 2 - 50,
+            this.width / 2,
+            this.height / 2 - 50,
             '#00ff00',
             2000,
             '24px Arial'
         );
         
         this.isPreparingNextWave = true;
-        this.preparationTimer = duration;
+        this.scheduler.schedule(duration, () => this.endWavePreparation(), 'nextWave');
         
         // Show preparation message
         this.showFloatingText(
             message,
-            this.canvas.width / 2,
-            this.canvas.height / 2,
+            this.width / 2,
+            this.height / 2,
             color,
             durationMs,
             font
         );
         
         console.log(`Starting ${duration/1000}-second preparation for next wave`);
+        
+        // Keep a save of the run between waves
+        this.autosave();
+    }
+    
+    /**
+     * End the preparation phase and send the next wave
+     */
+    endWavePreparation() {
+        this.isPreparingNextWave = false;
+        this.spawnWave();
+    }
+    
+    /**
+     * Advance the simulation by a frame's worth of real time
+     * Runs as many fixed ticks as the accumulated time allows, so outcomes
+     * do not depend on the display refresh rate
+     * @param {number} frameTime - Real time elapsed since the last frame in ms
+     */
+    advance(frameTime) {
+        this.accumulator += Math.min(frameTime, this.maxFrameTime) * this.timeScale;
+        
+        while (this.accumulator >= this.fixedTimeStep) {
+            // Stop at the end of a replay instead of simulating past it
+            if (this.replayPlayer && this.replayPlayer.isFinished()) {
+                this.accumulator = 0;
+                this.isPaused = true;
+                break;
+            }
+            
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+        }
+        
+        // Leftover time is used to interpolate unit positions when rendering
+        this.renderAlpha = this.accumulator / this.fixedTimeStep;
+    }
+    
+    /**
+     * Run a single fixed simulation tick
+     */
+    step() {
+        // Feed recorded commands for this tick back in when watching a replay
+        if (this.replayPlayer) {
+            this.replayPlayer.applyCommands(this.tick);
+        }
+        
+        this.update(this.fixedTimeStep);
+        this.tick++;
     }
     
     /**
      * Update game state
-     * @param {number} deltaTime - Time elapsed since last update in ms
+     * @param {number} deltaTime - Time elapsed since last update in ms (always fixedTimeStep)
      */
     update(deltaTime) {
-        if (this.gameOver || this.isPaused) return;
+        if (this.gameOver) return;
         
         // Generate Daen over time (fixed at 0.64 per 2 seconds)
         this.daen += (deltaTime / 2000) * 0.64;
         this.updateDaenDisplay();
         
-        // Handle wave preparation timer
-        if (this.isPreparingNextWave) {
-            this.preparationTimer -= deltaTime;
-            if (this.preparationTimer <= 0) {
-                this.isPreparingNextWave = false;
-                this.spawnWave();
-            }
-        } else {
-            // Only update wave timer if not in preparation phase
-            this.waveTimer += deltaTime;
-            if (this.waveTimer >= this.waveInterval && !this.heroesInWave) {
-                this.waveTimer = 0;
-                this.spawnWave();
-            }
-        }
+        // Run due timed events (hero spawns, wave starts)
+        this.scheduler.update(deltaTime);
         
         // Update all lanes
         for (const lane of this.lanes) {
@@ -621,18 +1125,23 @@ class Game {
         let lastTime = 0;
         
         const gameLoop = (timestamp) => {
-            // Calculate delta time
-            const deltaTime = timestamp - (lastTime || timestamp);
+            // Calculate frame time
+            const frameTime = timestamp - (lastTime || timestamp);
             lastTime = timestamp;
             
-            // Update game state if not paused
-            if (!this.isPaused) {
-                this.update(deltaTime);
+            // Step the simulation if not paused
+            if (!this.isPaused && !this.gameOver) {
+                this.advance(frameTime);
             }
             
             // Always render, even when paused
             this.render();
             
+            // Keep replay controls in sync with playback
+            if (this.replayControls) {
+                this.replayControls.update();
+            }
+            
             // Continue the game loop
             this.animationFrameId = requestAnimationFrame(gameLoop);
         };
@@ -645,6 +1154,8 @@ class Game {
      * Render the game
      */
     render() {
+        if (!this.renderer) return;
+        
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -663,22 +1174,201 @@ class Game {
     }
     
     /**
-     * Restart the game
+     * Snapshot the whole run for a save game
+     * @returns {Object} Versioned, JSON-safe snapshot
+     */
+    serialize() {
+        return {
+            version: SAVE_VERSION,
+            seed: this.seed,
+            randomState: this.random.getState(),
+            tick: this.tick,
+            daen: this.daen,
+            selectedMinionType: this.selectedMinionType,
+            waveNumber: this.waveNumber,
+            heroesInWave: this.heroesInWave,
+            heroesRemaining: this.heroesRemaining,
+            spawnQueue: this.spawnQueue.map(entry => ({ ...entry })),
+            currentWave: this.currentWave,
+            onslaughtTriggered: this.onslaughtTriggered,
+            onslaughtComplete: this.onslaughtComplete,
+            bossWave: this.bossWave,
+            spawnDelay: this.spawnDelay,
+            isPreparingNextWave: this.isPreparingNextWave,
+            timers: this.scheduler.serialize(),
+            replay: this.replayRecorder.commands.map(command => [...command]),
+            deathLedger: this.deathLedger.serialize(),
+            lanes: this.lanes.map(lane => ({
+                minions: lane.minions.map(minion => minion.serialize()),
+                heroes: lane.heroes.map(hero => hero.serialize()),
+                projectiles: lane.projectiles.map(projectile => projectile.serialize(lane))
+            }))
+        };
+    }
+    
+    /**
+     * Restore a run from a snapshot produced by serialize()
+     * @param {Object} snapshot - Game snapshot
+     * @throws {Error} If the snapshot is from another save version or references unknown units
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SAVE_VERSION) {
+            throw new Error(`Unsupported save version ${snapshot && snapshot.version} (expected ${SAVE_VERSION})`);
+        }
+        
+        this.reset(snapshot.seed);
+        this.random.setState(snapshot.randomState);
+        this.replayRecorder.commands = snapshot.replay.map(command => [...command]);
+        this.deathLedger.restore(snapshot.deathLedger);
+        
+        this.tick = snapshot.tick;
+        this.daen = snapshot.daen;
+        this.selectedMinionType = snapshot.selectedMinionType;
+        this.waveNumber = snapshot.waveNumber;
+        this.heroesInWave = snapshot.heroesInWave;
+        this.heroesRemaining = snapshot.heroesRemaining;
+        this.spawnQueue = snapshot.spawnQueue.map(entry => ({ ...entry }));
+        this.currentWave = snapshot.currentWave;
+        this.onslaughtTriggered = snapshot.onslaughtTriggered;
+        this.onslaughtComplete = snapshot.onslaughtComplete;
+        this.bossWave = snapshot.bossWave;
+        this.spawnDelay = snapshot.spawnDelay;
+        this.isPreparingNextWave = snapshot.isPreparingNextWave;
+        
+        // Re-bind pending timers to their callbacks
+        this.scheduler.clear();
+        for (const timer of snapshot.timers) {
+            this.scheduler.schedule(timer.remaining, this.getTimerCallback(timer.tag), timer.tag, timer.interval);
+        }
+        
+        // Rebuild units lane by lane, keeping their original order
+        snapshot.lanes.forEach((laneData, laneIndex) => {
+            const lane = this.lanes[laneIndex];
+            
+            for (const data of laneData.minions) {
+                const MinionClass = MinionRegistry[data.type];
+                if (!MinionClass) {
+                    throw new Error(`Unknown minion type in save: ${data.type}`);
+                }
+                
+                const minion = new MinionClass(laneIndex, data.position, this);
+                minion.restoreState(data);
+                lane.placeMinion(minion, Math.floor(data.position));
+            }
+            
+            for (const data of laneData.heroes) {
+                const hero = this.createHero(data.type, laneIndex, data.position);
+                hero.restoreState(data);
+                lane.addHero(hero);
+            }
+            
+            // Projectiles last, so locked targets resolve to restored units
+            for (const data of laneData.projectiles) {
+                lane.addProjectile(Projectile.restore(data, lane, this));
+            }
+        });
+        
+        this.updateDaenDisplay();
+    }
+    
+    /**
+     * Get the callback for a tagged scheduler event, used when restoring saves
+     * @param {string} tag - Scheduler event tag
+     * @returns {Function} Callback to run when the event fires
+     */
+    getTimerCallback(tag) {
+        switch (tag) {
+            case 'heroSpawn':
+                return () => this.spawnNextHero();
+            case 'nextWave':
+                return this.isPreparingNextWave ? () => this.endWavePreparation() : () => this.spawnWave();
+            default:
+                throw new Error(`Cannot restore timer with unknown tag: ${tag}`);
+        }
+    }
+    
+    /**
+     * Save the run to the autosave slot, if saving is enabled
+     */
+    autosave() {
+        if (!this.saveManager || this.replayPlayer) return;
+        
+        try {
+            this.saveManager.save(AUTOSAVE_SLOT, this);
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+    
+    /**
+     * Start watching a replay
+     * @param {Object} replay - Replay data from exportReplay()
+     */
+    startReplay(replay) {
+        const player = new ReplayPlayer(this, replay);
+        
+        this.reset(replay.seed);
+        this.replayPlayer = player;
+        this.timeScale = 1;
+        this.isPaused = false;
+    }
+    
+    /**
+     * Leave replay mode and start a fresh run
      */
-    restart() {
+    stopReplay() {
+        this.replayPlayer = null;
+        this.timeScale = 1;
+        this.restart();
+    }
+    
+    /**
+     * Reset the run state without touching the game loop
+     * @param {number} [seed] - Seed for the new run (defaults to the requested seed, or a fresh one)
+     */
+    reset(seed = this.requestedSeed) {
+        // Reseed gameplay randomness and start a new recording
+        this.seed = seed !== null && seed !== undefined ? seed : Random.generateSeed();
+        this.random = new Random(this.seed);
+        this.replayRecorder = new ReplayRecorder(this.seed);
+        
         // Reset game state
         this.daen = 10;
         this.lanes = [];
         this.selectedMinionType = null;
         this.gameOver = false;
         this.waveNumber = 0;
-        this.waveTimer = 0;
+        this.heroesInWave = 0;
+        this.heroesRemaining = 0;
+        this.spawnQueue = [];
+        this.currentWave = null;
+        this.onslaughtTriggered = false;
+        this.onslaughtComplete = false;
+        this.bossWave = false;
+        this.isPreparingNextWave = false;
+        this.accumulator = 0;
+        this.tick = 0;
+        this.renderAlpha = 0;
+        
+        // Drop pending spawns, timers and the dead from the previous run
+        this.scheduler.clear();
+        this.deathLedger.clear();
+        this.scheduleFirstWave();
         
         // Reinitialize lanes
         this.initializeLanes();
         
         // Update UI
         this.updateDaenDisplay();
+    }
+    
+    /**
+     * Restart the game
+     * @param {number} [seed] - Seed for the new run (defaults to the requested seed, or a fresh one)
+     */
+    restart(seed = this.requestedSeed) {
+        this.reset(seed);
+        this.isPaused = false;
         
         // Restart game loop
         this.stop();
@@ -76,6 +76,9 @@ class InputHandler {
         const gridPos = this.screenToGrid(event.clientX, event.clientY);
         this.mouse.hoveredTile = gridPos;
         
+        // Show hero details when hovering over one
+        this.updateHeroTooltip(event);
+        
         // Update range indicator position if a minion is selected
         if (this.uiState.selectedMinion) {
             this.uiState.rangeIndicatorPos = gridPos;
@@ -121,13 +124,63 @@ class InputHandler {
         this.mouse.isDown = false;
         this.mouse.isDragging = false;
         this.uiState.showRangeIndicator = false;
+        this.hideHeroTooltip();
+    }
+    
+    /**
+     * Find the hero under the mouse cursor
+     * @returns {Hero|null} The hovered hero, or null if none
+     */
+    getHeroAtMouse() {
+        const laneIndex = Math.floor(this.mouse.y / this.game.laneHeight);
+        const lane = this.game.lanes[laneIndex];
+        if (!lane) return null;
+        
+        // Heroes are drawn centred on their tile position
+        const mouseTile = this.mouse.x / this.game.tileWidth - 0.5;
+        let closest = null;
+        let closestDistance = 0.5;
+        for (const hero of lane.heroes) {
+            const distance = Math.abs(hero.getRenderPosition() - mouseTile);
+            if (distance < closestDistance) {
+                closest = hero;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+    
+    /**
+     * Show or hide the hero tooltip for the current mouse position
+     * @param {MouseEvent} event - The mouse event
+     */
+    updateHeroTooltip(event) {
+        const tooltipManager = this.game.tooltipManager;
+        if (!tooltipManager) return;
+        
+        const hero = this.getHeroAtMouse();
+        if (hero) {
+            tooltipManager.show(this.canvas, getHeroStats(hero.constructor, hero), event.clientX + 10, event.clientY + 10);
+        } else {
+            this.hideHeroTooltip();
+        }
+    }
+    
+    /**
+     * Hide the hero tooltip if it is showing
+     */
+    hideHeroTooltip() {
+        const tooltipManager = this.game.tooltipManager;
+        if (tooltipManager && tooltipManager.currentElement === this.canvas) {
+            tooltipManager.hide();
+        }
     }
     
     /**
      * Handle click
      */
     handleClick(event) {
-        if (this.game.gameOver || this.mouse.isDragging) {
+        if (this.game.gameOver || this.game.replayPlayer || this.mouse.isDragging) {
             this.mouse.isDragging = false;
             return;
         }
@@ -136,8 +189,8 @@ class InputHandler {
         
         // If a minion is selected, try to place it
         if (this.uiState.selectedMinion) {
-            // Pass the minion type from uiState to the game's selectedMinionType
-            this.game.selectedMinionType = this.uiState.selectedMinion;
+            // Pass the minion type from uiState to the game's selected minion
+            this.game.selectMinion(this.uiState.selectedMinion);
             // Place the minion with correct coordinates (x is tile, y is lane)
             const placed = this.game.placeMinionAt(gridPos.y, gridPos.x);
             
@@ -147,6 +200,28 @@ class InputHandler {
             } else {
                 console.log('Could not place minion');
             }
+            return;
+        }
+        
+        // Otherwise inspect the minion on the clicked tile
+        this.inspectMinionAt(gridPos.y, gridPos.x);
+    }
+    
+    /**
+     * Open the inspect panel for the minion on a tile, or close it if the tile is empty
+     * @param {number} laneIndex - The lane index
+     * @param {number} tileIndex - The tile index
+     */
+    inspectMinionAt(laneIndex, tileIndex) {
+        const inspectPanel = this.game.inspectPanel;
+        if (!inspectPanel) return;
+        
+        const lane = this.game.lanes[laneIndex];
+        const tile = lane && lane.tiles[tileIndex];
+        if (tile && tile.minion) {
+            inspectPanel.show(tile.minion);
+        } else {
+            inspectPanel.hide();
         }
     }
     
@@ -204,11 +279,25 @@ class InputHandler {
             case 'Escape':
                 this.deselectMinion();
                 break;
+            case ' ':
+                event.preventDefault();
+                if (!this.game.gameOver) {
+                    this.game.togglePause();
+                }
+                break;
+            case 'f':
+                // Cycle game speed 1x -> 2x -> 4x
+                this.game.setTimeScale(this.game.timeScale >= 4 ? 1 : this.game.timeScale * 2);
+                break;
             case '1':
             case '2':
             case '3':
             case '4':
             case '5':
+            case '6':
+            case '7':
+            case '8':
+            case '9':
                 const index = parseInt(event.key) - 1;
                 const buttons = document.querySelectorAll('.minion-button');
                 if (buttons[index]) {
@@ -229,11 +318,14 @@ class InputHandler {
      * Select a minion for placement
      */
     selectMinion(minionType) {
+        // Placement is driven by the replay while one is playing
+        if (this.game.replayPlayer) return;
+        
         this.uiState.selectedMinion = minionType;
         this.uiState.showRangeIndicator = true;
         
         // Also update the game's selected minion
-        this.game.selectedMinionType = minionType;
+        this.game.selectMinion(minionType);
         
         // Update UI to show selected state
         const buttons = document.querySelectorAll('.minion-button');
@@ -288,6 +380,23 @@ class InputHandler {
             this.ctx.strokeRect(tileX, tileY, this.game.tileWidth, this.game.laneHeight);
         }
         
+        // Outline the inspected minion; close the panel once it is gone
+        const inspected = this.game.inspectPanel && this.game.inspectPanel.minion;
+        if (inspected) {
+            if (this.game.lanes[inspected.lane].minions.includes(inspected)) {
+                this.ctx.strokeStyle = '#9c27b0';
+                this.ctx.lineWidth = 3;
+                this.ctx.strokeRect(
+                    Math.floor(inspected.position) * this.game.tileWidth,
+                    inspected.lane * this.game.laneHeight,
+                    this.game.tileWidth,
+                    this.game.laneHeight
+                );
+            } else {
+                this.game.inspectPanel.hide();
+            }
+        }
+        
         // Draw hover effect
         if (this.mouse.hoveredTile) {
             const { x, y } = this.mouse.hoveredTile;
@@ -0,0 +1,101 @@
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ * All gameplay randomness draws from the Game's instance so a run can be
+ * reproduced exactly from its seed
+ */
+class Random {
+    /**
+     * Create a new generator
+     * @param {number} seed - 32-bit unsigned integer seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Generate a fresh seed for a new run
+     * @returns {number} 32-bit unsigned integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Parse a seed from user input (e.g. a URL parameter)
+     * @param {string|number} value - Numeric seed or any string to hash
+     * @returns {number|null} 32-bit unsigned integer seed, or null if empty
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // Hash arbitrary strings (FNV-1a) so seeds like "boss-test" work too
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get the generator's internal state, for save games
+     * @returns {number} Current state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a state returned by getState()
+     * @param {number} state - State to continue from
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get a random float in a range
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer below a bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Roll a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} True on success
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
@@ -18,6 +18,12 @@ class Renderer {
         this.laneHeight = 0;
         this.tileCount = game.tileCount;
         this.laneCount = game.laneCount;
+        
+        // Short-lived visual effects (see addEffect)
+        this.effects = [];
+        
+        // Floating numbers for simulation events
+        game.events.on('unit:healed', this.showHealNumber, this);
     }
 
     /**
@@ -127,8 +133,9 @@ class Renderer {
         ctx.fillText(`Wave: ${this.game.waveNumber}`, infoX, infoY + lineHeight);
         
         // Next wave timer to the right of wave info
-        if (this.game.waveTimer > 0) {
-            const timeToNextWave = Math.ceil(this.game.waveTimer / 1000);
+        const timeUntilWave = this.game.getTimeUntilNextWave();
+        if (timeUntilWave !== null) {
+            const timeToNextWave = Math.ceil(timeUntilWave / 1000);
             const timeText = `Next: ${timeToNextWave}s`;
             const metrics = ctx.measureText(`Wave: ${this.game.waveNumber}`);
             
@@ -136,6 +143,19 @@ class Renderer {
             ctx.fillText(timeText, infoX + metrics.width + 15, infoY + lineHeight);
         }
         
+        // Game speed when not running at normal speed
+        if (this.game.timeScale !== 1) {
+            ctx.fillStyle = '#ffeb3b';
+            ctx.fillText(`Speed: ${this.game.timeScale}x`, infoX + 140, infoY);
+        }
+        
+        // Next hero spawn below wave info
+        const timeUntilSpawn = this.game.getTimeUntilNextSpawn();
+        if (timeUntilSpawn !== null) {
+            ctx.fillStyle = '#a0a0a0';
+            ctx.fillText(`Next spawn: ${Math.ceil(timeUntilSpawn / 1000)}s`, infoX, infoY + lineHeight * 2);
+        }
+        
         // Selected minion info in bottom-left corner
         if (this.game.selectedMinionType) {
             const MinionClass = MinionRegistry[this.game.selectedMinionType];
@@ -207,6 +227,15 @@ class Renderer {
             this.canvas.height / 2 + 20
         );
         
+        // Seed so the run can be reproduced
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#a0a0a0';
+        ctx.fillText(
+            `Seed: ${this.game.seed}`,
+            this.canvas.width / 2,
+            this.canvas.height / 2 + 55
+        );
+        
         // Restart button
         const buttonWidth = 200;
         const buttonHeight = 50;
@@ -240,6 +269,9 @@ class Renderer {
             lane.render(this.ctx);
         });
         
+        // Draw visual effects over units
+        this.drawEffects();
+        
         // Render input handler if it exists
         if (this.game.inputHandler) {
             this.game.inputHandler.render();
@@ -256,6 +288,146 @@ class Renderer {
         }
     }
 
+    /**
+     * Add a visual effect, positioned in lanes and tiles so it survives resizes
+     * @param {Object} effect
+     * @param {string} effect.type - Effect type: 'blast', 'revive', 'summon', 'heal', 'silence' or 'consecrate'
+     * @param {number} effect.lane - Lane index of the effect center
+     * @param {number} effect.position - Tile position of the effect center
+     * @param {number} [effect.laneRange=0] - Lanes covered either side of the center
+     * @param {number} [effect.tileRange=0] - Tiles covered either side of the center
+     * @param {string} [effect.color='#ffffff'] - Effect color
+     * @param {number} [effect.duration=500] - Duration in ms
+     */
+    addEffect(effect) {
+        this.effects.push({
+            laneRange: 0,
+            tileRange: 0,
+            color: '#ffffff',
+            duration: 500,
+            ...effect,
+            startTime: performance.now()
+        });
+    }
+
+    /**
+     * Draw active effects and drop finished ones
+     */
+    drawEffects() {
+        const now = performance.now();
+        this.effects = this.effects.filter(effect => now - effect.startTime < effect.duration);
+        
+        const ctx = this.ctx;
+        const tileWidth = this.game.tileWidth;
+        const laneHeight = this.game.laneHeight;
+        
+        for (const effect of this.effects) {
+            const progress = (now - effect.startTime) / effect.duration;
+            const x = effect.position * tileWidth + tileWidth / 2;
+            const y = effect.lane * laneHeight + laneHeight / 2;
+            
+            switch (effect.type) {
+                case 'blast': {
+                    // Flash over the covered area, then an expanding shockwave ring
+                    const halfWidth = (effect.tileRange + 0.5) * tileWidth;
+                    const halfHeight = (effect.laneRange + 0.5) * laneHeight;
+                    
+                    ctx.globalAlpha = 0.45 * (1 - progress);
+                    ctx.fillStyle = effect.color;
+                    ctx.fillRect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2);
+                    
+                    ctx.globalAlpha = 1 - progress;
+                    ctx.strokeStyle = effect.color;
+                    ctx.lineWidth = 4;
+                    ctx.beginPath();
+                    ctx.arc(x, y, Math.max(halfWidth, halfHeight) * progress, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                }
+                case 'heal': {
+                    // Soft glow over the healed area
+                    const halfWidth = (effect.tileRange + 0.5) * tileWidth;
+                    const halfHeight = (effect.laneRange + 0.5) * laneHeight;
+                    
+                    ctx.globalAlpha = 0.25 * Math.sin(progress * Math.PI);
+                    ctx.fillStyle = effect.color;
+                    ctx.beginPath();
+                    ctx.ellipse(x, y, halfWidth, halfHeight, 0, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                }
+                case 'silence': {
+                    // Ring collapsing onto the silenced tiles
+                    const halfWidth = (effect.tileRange + 0.5) * tileWidth;
+                    
+                    ctx.globalAlpha = 1 - progress;
+                    ctx.strokeStyle = effect.color;
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    ctx.ellipse(x, y, halfWidth * (1 - progress * 0.6), laneHeight * 0.45 * (1 - progress * 0.6), 0, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                }
+                case 'revive':
+                case 'summon': {
+                    // Column of light rising from the tile
+                    const height = laneHeight * 0.8 * progress;
+                    
+                    ctx.globalAlpha = 0.6 * (1 - progress);
+                    ctx.fillStyle = effect.color;
+                    ctx.fillRect(x - tileWidth * 0.2, y + laneHeight * 0.4 - height, tileWidth * 0.4, height);
+                    
+                    ctx.globalAlpha = 1 - progress;
+                    ctx.strokeStyle = effect.color;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(x, y, Math.min(tileWidth, laneHeight) * 0.4 * (1 - progress * 0.5), 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                }
+                case 'consecrate': {
+                    // Shaft of light falling onto the corpse, leaving a sealing cross
+                    const top = effect.lane * laneHeight;
+                    const arm = Math.min(tileWidth, laneHeight) * 0.3;
+                    
+                    ctx.globalAlpha = 0.5 * (1 - progress);
+                    ctx.fillStyle = effect.color;
+                    ctx.fillRect(x - tileWidth * 0.15, top, tileWidth * 0.3, laneHeight * Math.min(1, progress * 3));
+                    
+                    ctx.globalAlpha = 1 - progress;
+                    ctx.strokeStyle = effect.color;
+                    ctx.lineWidth = 4;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y - arm * 1.4);
+                    ctx.lineTo(x, y + arm * 1.4);
+                    ctx.moveTo(x - arm, y - arm * 0.4);
+                    ctx.lineTo(x + arm, y - arm * 0.4);
+                    ctx.stroke();
+                    break;
+                }
+            }
+        }
+        
+        ctx.globalAlpha = 1.0;
+    }
+
+    /**
+     * Show a green floating number when a unit is healed
+     * @param {Object} event - 'unit:healed' event data ({ unit, amount, ... })
+     */
+    showHealNumber({ unit, amount }) {
+        if (amount < 0.5) return;
+        
+        this.showFloatingText(
+            `+${Math.round(amount)}`,
+            unit.position * this.game.tileWidth + this.game.tileWidth / 2,
+            unit.lane * this.game.laneHeight + 10,
+            '#66bb6a',
+            800,
+            '16px Arial'
+        );
+    }
+
     /**
      * Display floating text at a position
      * @param {string} text - The text to display
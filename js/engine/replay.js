@@ -0,0 +1,154 @@
+/**
+ * Replay - Records player commands by tick and plays them back
+ * Relies on the fixed timestep and seeded randomness: the same seed and the
+ * same commands on the same ticks always produce the same run
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * ReplayRecorder - Collects player commands during a run
+ */
+class ReplayRecorder {
+    /**
+     * @param {number} seed - Seed of the run being recorded
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.commands = [];
+    }
+
+    /**
+     * Record a command
+     * @param {number} tick - Simulation tick the command was issued on
+     * @param {string} type - Command type ('select', 'place', 'targeting', 'pause', 'speed')
+     * @param {Array} args - Command arguments
+     */
+    record(tick, type, args = []) {
+        this.commands.push([tick, type, ...args]);
+    }
+
+    /**
+     * Export the recording as a compact replay object
+     * @param {number} endTick - Last tick of the recording
+     * @returns {Object} Replay data, safe to JSON.stringify
+     */
+    toJSON(endTick) {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            endTick,
+            commands: this.commands.map(command => [...command])
+        };
+    }
+}
+
+/**
+ * ReplayPlayer - Feeds recorded commands back into a Game
+ */
+class ReplayPlayer {
+    /**
+     * @param {Game} game - The game to drive
+     * @param {Object} replay - Replay data produced by ReplayRecorder.toJSON()
+     */
+    constructor(game, replay) {
+        ReplayPlayer.validate(replay);
+
+        this.game = game;
+        this.replay = replay;
+        this.commands = [...replay.commands].sort((a, b) => a[0] - b[0]);
+        this.index = 0;
+    }
+
+    /**
+     * Check that a replay can be played by this version of the game
+     * @param {Object} replay - Replay data
+     * @throws {Error} If the replay is malformed or from another version
+     */
+    static validate(replay) {
+        if (!replay || !Array.isArray(replay.commands) || typeof replay.seed !== 'number') {
+            throw new Error('Invalid replay data');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+        }
+    }
+
+    /**
+     * Last tick of the replay
+     * @returns {number} End tick
+     */
+    get endTick() {
+        return this.replay.endTick || (this.commands.length ? this.commands[this.commands.length - 1][0] : 0);
+    }
+
+    /**
+     * Check whether playback has reached the end of the replay
+     * @returns {boolean} True if finished
+     */
+    isFinished() {
+        return this.game.gameOver || this.game.tick >= this.endTick;
+    }
+
+    /**
+     * Rewind to the first command
+     */
+    rewind() {
+        this.index = 0;
+    }
+
+    /**
+     * Apply all commands recorded on the given tick
+     * Called by Game.step() before the tick is simulated
+     * @param {number} tick - The tick about to be simulated
+     */
+    applyCommands(tick) {
+        while (this.index < this.commands.length && this.commands[this.index][0] <= tick) {
+            const [, type, ...args] = this.commands[this.index++];
+            this.applyCommand(type, args);
+        }
+    }
+
+    /**
+     * Apply a single command to the game
+     * Pause and speed changes are part of the recording but do not affect
+     * the simulation, so playback speed stays under the viewer's control
+     * @param {string} type - Command type
+     * @param {Array} args - Command arguments
+     */
+    applyCommand(type, args) {
+        switch (type) {
+            case 'select':
+                this.game.selectMinion(args[0]);
+                break;
+            case 'place':
+                this.game.placeMinionAt(args[0], args[1]);
+                break;
+            case 'targeting':
+                this.game.setMinionTargeting(args[0], args[1], args[2]);
+                break;
+            case 'pause':
+            case 'speed':
+                break;
+            default:
+                console.warn(`Unknown replay command: ${type}`);
+        }
+    }
+
+    /**
+     * Jump to a tick by re-simulating from the start of the run
+     * @param {number} targetTick - Tick to seek to
+     */
+    seek(targetTick) {
+        const target = Math.max(0, Math.min(targetTick, this.endTick));
+
+        // The simulation cannot run backwards, so replay from the beginning
+        if (target < this.game.tick) {
+            this.game.reset(this.replay.seed);
+            this.rewind();
+        }
+
+        while (this.game.tick < target && !this.game.gameOver) {
+            this.game.step();
+        }
+    }
+}
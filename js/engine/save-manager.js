@@ -0,0 +1,95 @@
+/**
+ * SaveManager - Stores game snapshots in named LocalStorage slots
+ */
+const SAVE_VERSION = 12;
+const AUTOSAVE_SLOT = 'autosave';
+
+class SaveManager {
+    /**
+     * @param {Storage} [storage=window.localStorage] - Storage backend
+     * @param {string} [prefix='undawn.save.'] - Key prefix for save slots
+     */
+    constructor(storage = window.localStorage, prefix = 'undawn.save.') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Save a game into a slot
+     * @param {string} slot - Slot name
+     * @param {Game} game - The game to snapshot
+     * @returns {Object} The stored save entry
+     */
+    save(slot, game) {
+        const snapshot = game.serialize();
+        const entry = {
+            slot,
+            savedAt: Date.now(),
+            waveNumber: snapshot.waveNumber,
+            daen: Math.floor(snapshot.daen),
+            snapshot
+        };
+
+        this.storage.setItem(this.prefix + slot, JSON.stringify(entry));
+        return entry;
+    }
+
+    /**
+     * Read the snapshot stored in a slot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Game snapshot, or null if the slot is empty
+     * @throws {Error} If the slot contains unreadable data
+     */
+    load(slot) {
+        const raw = this.storage.getItem(this.prefix + slot);
+        if (raw === null) return null;
+
+        let entry;
+        try {
+            entry = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Save slot "${slot}" is corrupted`);
+        }
+
+        return entry.snapshot;
+    }
+
+    /**
+     * Check whether a slot holds a save
+     * @param {string} slot - Slot name
+     * @returns {boolean} True if the slot is used
+     */
+    has(slot) {
+        return this.storage.getItem(this.prefix + slot) !== null;
+    }
+
+    /**
+     * Delete a save
+     * @param {string} slot - Slot name
+     */
+    delete(slot) {
+        this.storage.removeItem(this.prefix + slot);
+    }
+
+    /**
+     * List all saves, newest first
+     * @returns {Object[]} Save summaries ({ slot, savedAt, waveNumber, daen })
+     */
+    list() {
+        const saves = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(this.prefix)) continue;
+
+            try {
+                const { slot, savedAt, waveNumber, daen } = JSON.parse(this.storage.getItem(key));
+                saves.push({ slot, savedAt, waveNumber, daen });
+            } catch (error) {
+                console.warn(`Skipping unreadable save "${key}"`);
+            }
+        }
+
+        return saves.sort((a, b) => b.savedAt - a.savedAt);
+    }
+}
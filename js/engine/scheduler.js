@@ -0,0 +1,108 @@
+/**
+ * Scheduler - Runs callbacks on simulation time instead of wall-clock time
+ * Owned by Game and advanced from Game.update, so timers pause with the game
+ * and are discarded on restart
+ */
+class Scheduler {
+    constructor() {
+        this.events = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Schedule a callback to run after a delay
+     * @param {number} delay - Delay in ms of simulation time
+     * @param {Function} callback - Function to call when the delay elapses
+     * @param {string} [tag=null] - Optional tag used to query or cancel the event
+     * @param {number} [interval=0] - Repeat every interval ms if greater than 0
+     * @returns {number} Event id
+     */
+    schedule(delay, callback, tag = null, interval = 0) {
+        const event = {
+            id: this.nextId++,
+            remaining: Math.max(0, delay),
+            callback,
+            tag,
+            interval
+        };
+
+        this.events.push(event);
+        return event.id;
+    }
+
+    /**
+     * Cancel every event with the given tag
+     * @param {string} tag - Event tag
+     */
+    cancelTag(tag) {
+        this.events = this.events.filter(event => event.tag !== tag);
+    }
+
+    /**
+     * Get the time until the next event with the given tag fires
+     * @param {string} tag - Event tag
+     * @returns {number|null} Remaining time in ms, or null if nothing is scheduled
+     */
+    timeUntil(tag) {
+        let soonest = null;
+
+        for (const event of this.events) {
+            if (event.tag === tag && (soonest === null || event.remaining < soonest)) {
+                soonest = event.remaining;
+            }
+        }
+
+        return soonest;
+    }
+
+    /**
+     * Remove all pending events
+     */
+    clear() {
+        this.events = [];
+    }
+
+    /**
+     * Export pending events for a save game
+     * Only tagged events are kept; the owner re-binds callbacks by tag on load
+     * @returns {Object[]} Events as { tag, remaining, interval }
+     */
+    serialize() {
+        return this.events
+            .filter(event => event.tag !== null)
+            .map(({ tag, remaining, interval }) => ({ tag, remaining, interval }));
+    }
+
+    /**
+     * Advance scheduled events and run the ones that are due
+     * @param {number} deltaTime - Simulation time elapsed in ms
+     */
+    update(deltaTime) {
+        // Collect due events first so callbacks can safely schedule new ones
+        const due = [];
+        for (const event of this.events) {
+            event.remaining -= deltaTime;
+            if (event.remaining <= 0) {
+                due.push(event);
+            }
+        }
+
+        if (due.length === 0) return;
+
+        // Fire in order of lateness, then scheduling order, for deterministic results
+        due.sort((a, b) => a.remaining - b.remaining || a.id - b.id);
+
+        for (const event of due) {
+            // Skip events cancelled by an earlier callback this update
+            if (!this.events.includes(event)) continue;
+
+            if (event.interval > 0) {
+                event.remaining += event.interval;
+            } else {
+                this.events.splice(this.events.indexOf(event), 1);
+            }
+
+            event.callback();
+        }
+    }
+}
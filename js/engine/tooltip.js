@@ -127,6 +127,20 @@ class TooltipManager {
             });
         }
 
+        // Add active buffs and debuffs if available
+        if (data.effects && data.effects.length > 0) {
+            html += '<div class="tooltip-effects">';
+            data.effects.forEach(effect => {
+                html += `
+                    <div class="tooltip-effect ${effect.isDebuff ? 'debuff' : 'buff'}">
+                        <span class="tooltip-effect-name">${effect.name}</span>
+                        <span class="tooltip-effect-description">${effect.description}</span>
+                    </div>
+                `;
+            });
+            html += '</div>';
+        }
+
         return html;
     }
 
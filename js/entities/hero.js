@@ -8,6 +8,8 @@ class Hero extends Unit {
         
         // Hero-specific properties
         this.direction = -1; // Heroes move left (towards castle)
+        this.preventsRevival = false; // Units killed by this hero are consecrated and cannot be revived
+        this.detectionRange = 0; // Tiles within which stealthed minions are revealed (0 = not a detector)
     }
     
     /**
@@ -23,48 +25,89 @@ class Hero extends Unit {
         // Get lane object
         const lane = this.game.lanes[this.lane];
         
-        // Find closest minion in range
-        const target = this.findTarget(lane);
+        // Find minions in range, in targeting order
+        const targets = this.findTargets(lane);
         
-        // Attack if target found and cooldown is ready
-        if (target && this.attackCooldown <= 0) {
-            this.attack(target);
-            this.attackCooldown = 1000 / this.attackSpeed; // Reset cooldown
-        } else if (!target) {
+        // Attack if targets found and cooldown is ready
+        if (targets.length > 0 && this.attackCooldown <= 0) {
+            for (const target of targets) {
+                this.attack(target);
+            }
+            this.attackCooldown = 1000 / this.getStat('attackSpeed'); // Reset cooldown
+        } else if (targets.length === 0 && !this.shouldHoldPosition(lane)) {
             // Move if no target in range
             this.move(deltaTime, this.direction);
         }
     }
     
     /**
-     * Find the closest minion in attack range
+     * Hook for hero AI that wants to stop advancing without a target in range
+     * @param {Lane} lane - The hero's lane
+     * @returns {boolean} - True to stay put this tick
+     */
+    shouldHoldPosition(lane) {
+        return false;
+    }
+    
+    /**
+     * Find the preferred minion in attack range
      * @param {Lane} lane - The lane to search in
      * @returns {Minion|null} - The target minion or null if none found
      */
     findTarget(lane) {
-        let closestMinion = null;
-        let closestDistance = Infinity;
-        
-        for (const minion of lane.minions) {
-            const distance = Math.abs(this.position - minion.position);
-            
-            // Check if minion is in range and closer than current closest
-            if (distance <= this.attackRange && distance < closestDistance) {
-                closestMinion = minion;
-                closestDistance = distance;
-            }
-        }
-        
-        return closestMinion;
+        return this.findTargets(lane)[0] || null;
+    }
+    
+    /**
+     * Find the minions this hero attacks (up to targetCount, in targeting order)
+     * @param {Lane} lane - The lane to search in
+     * @returns {Minion[]} - Visible minions in range
+     */
+    findTargets(lane) {
+        return this.getTargetsInRange(lane.getVisibleMinions());
     }
     
     /**
      * Handle hero death
+     * @param {Object} result - Damage result from the killing blow, carrying the kill record
      */
-    die() {
+    die(result) {
         // Remove from lane
         const lane = this.game.lanes[this.lane];
         lane.removeHero(this);
+        
+        this.game.resolveKillRewards(result.kill);
+    }
+    
+    /**
+     * Get the HeroRegistry key for this hero
+     * @returns {string} - Registry key
+     */
+    getType() {
+        return Object.keys(HeroRegistry).find(type => HeroRegistry[type] === this.constructor);
+    }
+    
+    /**
+     * Get class-specific static properties
+     */
+    static get name() {
+        return 'Hero'; // Default name
+    }
+    
+    static get description() {
+        return 'Base hero unit'; // Default description
+    }
+    
+    static get threatTier() {
+        return 1; // 1 (fodder) to 5 (boss-level threat)
+    }
+    
+    static get firstWave() {
+        return 1; // First wave the hero can appear in random rolls
+    }
+    
+    static get spawnWeight() {
+        return 1; // Relative chance in random rolls
     }
 }
 
@@ -88,6 +131,159 @@ class Militiant extends Hero {
         this.color = '#f44336'; // Red
         this.size = 0.6;
     }
+    
+    static get name() {
+        return 'Militiant';
+    }
+    
+    static get description() {
+        return 'Basic melee that walks and attacks';
+    }
+    
+    static get threatTier() {
+        return 1;
+    }
+    
+    static get firstWave() {
+        return 1;
+    }
+    
+    static get spawnWeight() {
+        return 5;
+    }
+}
+
+/**
+ * Pikedead - Anti-swarm hero
+ * Winds up, then skewers the first two minions up to 2 tiles ahead
+ */
+class Pikedead extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 90;
+        this.maxHealth = 90;
+        this.damage = 14;
+        this.attackSpeed = 0.6;
+        this.attackRange = 2; // Pike reach in tiles
+        this.targetCount = 2; // Pierces the front minion into the one behind it
+        this.moveSpeed = 0.3;
+        
+        // Special properties
+        this.engageRange = 1; // Closes to melee distance so the pike reaches past the front minion
+        this.windUpTime = 700; // Telegraph before each thrust in ms
+        this.windUpTimer = null; // Remaining wind-up, null when not winding up
+        
+        // Visual properties
+        this.color = '#9e9d24'; // Olive
+        this.size = 0.6;
+    }
+    
+    /**
+     * Override update to wind up before striking
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     */
+    update(deltaTime) {
+        if (this.attackCooldown > 0) {
+            this.attackCooldown -= deltaTime;
+        }
+        
+        const lane = this.game.lanes[this.lane];
+        
+        // Mid wind-up: hold position, then thrust at whatever is in the line
+        if (this.windUpTimer !== null) {
+            this.windUpTimer -= deltaTime;
+            if (this.windUpTimer <= 0) {
+                this.windUpTimer = null;
+                for (const target of this.findTargets(lane)) {
+                    this.attack(target);
+                }
+                this.attackCooldown = 1000 / this.getStat('attackSpeed');
+            }
+            return;
+        }
+        
+        const targets = this.findTargets(lane);
+        const engaged = targets.length > 0 && Math.abs(targets[0].position - this.position) <= this.engageRange;
+        
+        if (!engaged) {
+            this.move(deltaTime, this.direction);
+        } else if (this.attackCooldown <= 0) {
+            this.windUpTimer = this.windUpTime;
+        }
+    }
+    
+    /**
+     * Find minions in the pike's line, ahead of the hero only
+     * @param {Lane} lane - The lane to search in
+     * @returns {Minion[]} - Up to two minions, front first
+     */
+    findTargets(lane) {
+        const ahead = lane.getVisibleMinions().filter(minion => (minion.position - this.position) * this.direction >= 0);
+        return this.getTargetsInRange(ahead);
+    }
+    
+    /**
+     * Render the hero plus the strike telegraph while winding up
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileWidth - Width of a tile in pixels
+     * @param {number} laneHeight - Height of a lane in pixels
+     */
+    render(ctx, tileWidth, laneHeight) {
+        if (this.windUpTimer !== null) {
+            const progress = 1 - this.windUpTimer / this.windUpTime;
+            const x = this.getRenderPosition() * tileWidth + (tileWidth / 2);
+            const y = this.lane * laneHeight + (laneHeight / 2);
+            const reach = this.attackRange * tileWidth;
+            const height = laneHeight * 0.3;
+            
+            // Danger zone fills in as the thrust approaches
+            ctx.globalAlpha = 0.15 + 0.35 * progress;
+            ctx.fillStyle = '#f44336';
+            ctx.fillRect(this.direction < 0 ? x - reach : x, y - height / 2, reach, height);
+            
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = '#ff8a80';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.direction < 0 ? x - reach : x, y - height / 2, reach, height);
+            ctx.globalAlpha = 1.0;
+        }
+        
+        super.render(ctx, tileWidth, laneHeight);
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            windUpTimer: this.windUpTimer
+        };
+    }
+    
+    restoreState(data) {
+        super.restoreState(data);
+        this.windUpTimer = data.windUpTimer;
+    }
+    
+    static get name() {
+        return 'Pikedead';
+    }
+    
+    static get description() {
+        return 'Anti-swarm pikeman that strikes 2 tiles ahead';
+    }
+    
+    static get threatTier() {
+        return 2;
+    }
+    
+    static get firstWave() {
+        return 3;
+    }
+    
+    static get spawnWeight() {
+        return 3;
+    }
 }
 
 /**
@@ -106,10 +302,163 @@ class AshboltScout extends Hero {
         this.attackRange = 3;
         this.moveSpeed = 0.4;
         
+        // Fast bolts locked onto their target
+        this.projectileSpeed = 6;
+        this.projectileMode = 'target';
+        this.projectileColor = '#f48fb1';
+        this.damageType = DamageTypes.MAGIC;
+        
         // Visual properties
         this.color = '#e91e63'; // Pink
         this.size = 0.55;
     }
+    
+    static get name() {
+        return 'Ashbolt Scout';
+    }
+    
+    static get description() {
+        return 'Fast, ranged attacker';
+    }
+    
+    static get threatTier() {
+        return 2;
+    }
+    
+    static get firstWave() {
+        return 5;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+/**
+ * CleansedSister - Healer hero
+ * Follows behind the frontline and periodically heals nearby heroes
+ */
+class CleansedSister extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 60;
+        this.maxHealth = 60;
+        this.damage = 5;
+        this.attackSpeed = 0.8;
+        this.attackRange = 1;
+        this.moveSpeed = 0.3;
+        this.damageType = DamageTypes.MAGIC;
+        
+        // Special properties
+        this.healAmount = 12;
+        this.healInterval = 3000; // Heal pulse every 3 seconds
+        this.healTimer = 0;
+        this.healLaneRange = 1; // Own lane and the lanes either side
+        this.healTileRange = 1;
+        this.followDistance = 1; // Tiles kept between her and the ally ahead
+        this.threatMargin = 0.25; // Extra tiles kept outside minion attack range
+        
+        // Visual properties
+        this.color = '#fff9c4'; // Pale gold
+        this.size = 0.55;
+    }
+    
+    /**
+     * Override update to pulse healing
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     */
+    update(deltaTime) {
+        if (!this.isSilenced()) {
+            this.healTimer += deltaTime;
+            if (this.healTimer >= this.healInterval && this.healAllies()) {
+                this.healTimer = 0;
+            }
+        }
+        
+        super.update(deltaTime);
+    }
+    
+    /**
+     * Heal wounded heroes around her
+     * @returns {boolean} - True if anyone was healed
+     */
+    healAllies() {
+        const allies = this.game.getUnitsInArea(this.lane, this.position, this.healLaneRange, this.healTileRange, 'heroes')
+            .filter(hero => hero !== this && hero.health < hero.maxHealth);
+        
+        if (allies.length === 0) return false;
+        
+        for (const ally of allies) {
+            ally.heal(this.healAmount, { source: this });
+        }
+        
+        this.game.showEffect('heal', this.lane, this.position, {
+            laneRange: this.healLaneRange,
+            tileRange: this.healTileRange,
+            color: '#fff59d',
+            duration: 600
+        });
+        return true;
+    }
+    
+    /**
+     * Stay behind the frontline: hold while another hero is ahead in the lane
+     * and she is either on its heels or about to walk into minion range
+     * @param {Lane} lane - The hero's lane
+     * @returns {boolean} - True to stay put this tick
+     */
+    shouldHoldPosition(lane) {
+        let nearestAllyAhead = null;
+        for (const hero of lane.heroes) {
+            const ahead = (hero.position - this.position) * this.direction;
+            if (hero !== this && ahead > 0 && (!nearestAllyAhead || ahead < nearestAllyAhead)) {
+                nearestAllyAhead = ahead;
+            }
+        }
+        
+        // Alone at the front she has to advance and fight
+        if (nearestAllyAhead === null) return false;
+        if (nearestAllyAhead <= this.followDistance) return true;
+        
+        return lane.getVisibleMinions().some(minion => {
+            const distance = (minion.position - this.position) * this.direction;
+            return distance >= 0 && distance <= minion.getStat('attackRange') + this.threatMargin;
+        });
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            healTimer: this.healTimer
+        };
+    }
+    
+    restoreState(data) {
+        super.restoreState(data);
+        this.healTimer = data.healTimer;
+    }
+    
+    static get name() {
+        return 'Cleansed Sister';
+    }
+    
+    static get description() {
+        return 'Healer that stays behind the frontline and heals nearby heroes';
+    }
+    
+    static get threatTier() {
+        return 2;
+    }
+    
+    static get firstWave() {
+        return 4;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
 }
 
 /**
@@ -128,12 +477,25 @@ class Oathblade extends Hero {
         this.attackSpeed = this.baseAttackSpeed;
         this.attackRange = 1;
         this.moveSpeed = 0.25;
+        this.armor = 60; // Plate armor
         
         // Visual properties
         this.color = '#ff9800'; // Orange
         this.size = 0.7;
     }
     
+    serialize() {
+        return {
+            ...super.serialize(),
+            baseAttackSpeed: this.baseAttackSpeed
+        };
+    }
+    
+    restoreState(data) {
+        super.restoreState(data);
+        this.baseAttackSpeed = data.baseAttackSpeed;
+    }
+    
     /**
      * Override update to implement special ability
      * @param {number} deltaTime - Time elapsed since last update in ms
@@ -146,4 +508,432 @@ class Oathblade extends Hero {
         // Call parent update method
         super.update(deltaTime);
     }
-}
\ No newline at end of file
+    
+    static get name() {
+        return 'Oathblade';
+    }
+    
+    static get description() {
+        return 'Bruiser that attacks faster as HP drops';
+    }
+    
+    static get threatTier() {
+        return 3;
+    }
+    
+    static get firstWave() {
+        return 10;
+    }
+    
+    static get spawnWeight() {
+        return 3;
+    }
+}
+
+/**
+ * SaintHusk - Reviving hero
+ * Rises once at 50% HP after being struck down
+ */
+class SaintHusk extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 100;
+        this.maxHealth = 100;
+        this.damage = 12;
+        this.attackSpeed = 0.9;
+        this.attackRange = 1;
+        this.moveSpeed = 0.25;
+        
+        // Special properties
+        this.reviveHealth = 0.5; // Fraction of max HP she rises with
+        this.hasRevived = false;
+        this.addDeathHook(this.riseAgain);
+        
+        // Visual properties
+        this.color = '#d7ccc8'; // Ashen
+        this.size = 0.65;
+    }
+    
+    /**
+     * Death hook: cancel the first death and come back at half health
+     * @returns {boolean} - True if she rose again
+     */
+    riseAgain() {
+        if (this.hasRevived) return false;
+        
+        this.hasRevived = true;
+        this.health = this.maxHealth * this.reviveHealth;
+        this.dispel();
+        
+        this.game.showEffect('revive', this.lane, this.position, { color: '#ffd54f', duration: 900 });
+        this.game.showFloatingText(
+            'Risen!',
+            this.position * this.game.tileWidth,
+            this.lane * this.game.laneHeight + 20,
+            '#ffd54f'
+        );
+        return true;
+    }
+    
+    /**
+     * Render the hero with a halo while her revive is unused
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileWidth - Width of a tile in pixels
+     * @param {number} laneHeight - Height of a lane in pixels
+     */
+    render(ctx, tileWidth, laneHeight) {
+        super.render(ctx, tileWidth, laneHeight);
+        
+        if (!this.hasRevived) {
+            const x = this.getRenderPosition() * tileWidth + (tileWidth / 2);
+            const y = this.lane * laneHeight + (laneHeight / 2);
+            const radius = Math.min(tileWidth, laneHeight) * this.size / 2;
+            
+            ctx.strokeStyle = '#ffd54f';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.ellipse(x, y - radius * 0.6, radius * 0.6, radius * 0.2, 0, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            hasRevived: this.hasRevived
+        };
+    }
+    
+    restoreState(data) {
+        super.restoreState(data);
+        this.hasRevived = data.hasRevived;
+    }
+    
+    static get name() {
+        return 'Saint-Husk';
+    }
+    
+    static get description() {
+        return 'Comes back once at 50% HP; the halo shows the revive is unused';
+    }
+    
+    static get threatTier() {
+        return 3;
+    }
+    
+    static get firstWave() {
+        return 6;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+/**
+ * BannerJudge - Buffer hero
+ * Carries a banner that empowers every other hero in her lane
+ */
+class BannerJudge extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 110;
+        this.maxHealth = 110;
+        this.damage = 8;
+        this.attackSpeed = 0.8;
+        this.attackRange = 1;
+        this.moveSpeed = 0.25;
+        
+        // Special properties: lane aura, copies from several judges do not stack
+        this.bannerAura = {
+            id: 'banner',
+            name: 'Banner of Judgement',
+            icon: 'B',
+            color: '#ffca28',
+            isDebuff: false,
+            stacking: 'strongest',
+            modifiers: { damage: 1.25, attackSpeed: 1.15, moveSpeed: 1.1 }
+        };
+        
+        // Visual properties
+        this.color = '#ffb300'; // Amber
+        this.size = 0.65;
+    }
+    
+    /**
+     * The banner empowers allies in the lane unless she is silenced
+     * @returns {Object[]} - Aura definitions
+     */
+    getAuras() {
+        return this.isSilenced() ? [] : [this.bannerAura];
+    }
+    
+    static get name() {
+        return 'Banner Judge';
+    }
+    
+    static get description() {
+        return 'Boosts damage, attack speed and move speed of other heroes in her lane';
+    }
+    
+    static get threatTier() {
+        return 3;
+    }
+    
+    static get firstWave() {
+        return 7;
+    }
+    
+    static get spawnWeight() {
+        return 1;
+    }
+}
+
+/**
+ * Blightbreaker - Anti-support hero
+ * Each hit silences the struck minion and its neighbours, shutting off their abilities
+ */
+class Blightbreaker extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 95;
+        this.maxHealth = 95;
+        this.damage = 10;
+        this.attackSpeed = 1;
+        this.attackRange = 1;
+        this.moveSpeed = 0.3;
+        
+        // Special properties
+        this.silenceDuration = 4000; // 4 seconds
+        this.silenceRange = 1; // Tiles either side of the struck minion, same lane
+        
+        // Visual properties
+        this.color = '#7cb342'; // Blight green
+        this.size = 0.6;
+    }
+    
+    /**
+     * Silence the struck minion and minions next to it
+     * @param {Unit} target - Target unit
+     * @param {Object} result - Damage result from takeDamage()
+     */
+    onHit(target, result) {
+        const minions = this.game.getUnitsInArea(this.lane, target.position, 0, this.silenceRange, 'minions');
+        for (const minion of minions) {
+            minion.applyStatus('silence', { duration: this.silenceDuration, source: this });
+        }
+        
+        this.game.showEffect('silence', this.lane, target.position, {
+            tileRange: this.silenceRange,
+            color: '#ab47bc',
+            duration: 500
+        });
+    }
+    
+    static get name() {
+        return 'Blightbreaker';
+    }
+    
+    static get description() {
+        return 'Silences adjacent minion abilities on hit';
+    }
+    
+    static get threatTier() {
+        return 3;
+    }
+    
+    static get firstWave() {
+        return 8;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+/**
+ * Gildmarcher - Mercenary hero
+ * Minions she kills give no Daen
+ */
+class Gildmarcher extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 90;
+        this.maxHealth = 90;
+        this.damage = 12;
+        this.attackSpeed = 1;
+        this.attackRange = 1;
+        this.moveSpeed = 0.3;
+        this.armor = 20; // Gilded mail
+        
+        // Visual properties
+        this.color = '#ffd54f'; // Gold
+        this.size = 0.65;
+    }
+    
+    /**
+     * Deny every reward for minions she kills
+     * @param {Object} reward - Reward about to be paid
+     * @param {Object} kill - Attribution record from Unit.createKillRecord
+     * @returns {boolean} - True to cancel the reward
+     */
+    vetoesReward(reward, kill) {
+        return kill.killer === this && kill.victim instanceof Minion;
+    }
+    
+    static get name() {
+        return 'Gildmarcher';
+    }
+    
+    static get description() {
+        return 'Minions she kills give no Daen';
+    }
+    
+    static get threatTier() {
+        return 2;
+    }
+    
+    static get firstWave() {
+        return 6;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+/**
+ * SeerWarden - Detector hero
+ * Reveals stealthed minions nearby and strikes them first
+ */
+class SeerWarden extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 75;
+        this.maxHealth = 75;
+        this.damage = 10;
+        this.attackSpeed = 1;
+        this.attackRange = 2;
+        this.moveSpeed = 0.35;
+        this.detectionRange = 3;
+        
+        // Visual properties
+        this.color = '#4dd0e1'; // Cyan
+        this.size = 0.6;
+    }
+    
+    /**
+     * Render the hero plus a faint ring marking its detection range
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileWidth - Width of a tile in pixels
+     * @param {number} laneHeight - Height of a lane in pixels
+     */
+    render(ctx, tileWidth, laneHeight) {
+        const x = this.getRenderPosition() * tileWidth + (tileWidth / 2);
+        const y = this.lane * laneHeight + (laneHeight / 2);
+        
+        ctx.strokeStyle = 'rgba(77, 208, 225, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(x, y, this.getStat('detectionRange') * tileWidth, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        super.render(ctx, tileWidth, laneHeight);
+    }
+    
+    static get name() {
+        return 'Seer-Warden';
+    }
+    
+    static get targeting() {
+        return 'stealthedFirst';
+    }
+    
+    static get description() {
+        return 'Reveals stealthed minions within 3 tiles and targets them first';
+    }
+    
+    static get threatTier() {
+        return 2;
+    }
+    
+    static get firstWave() {
+        return 5;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+/**
+ * Lightforged - Anti-resurrection hero
+ * Consecrates what it kills so nothing can raise it again
+ */
+class Lightforged extends Hero {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 110;
+        this.maxHealth = 110;
+        this.damage = 13;
+        this.attackSpeed = 0.9;
+        this.attackRange = 1;
+        this.moveSpeed = 0.3;
+        this.damageType = DamageTypes.MAGIC; // Holy fire
+        this.magicResist = 30;
+        this.preventsRevival = true;
+        
+        // Visual properties
+        this.color = '#fffde7'; // Pale gold
+        this.size = 0.7;
+    }
+    
+    static get name() {
+        return 'Lightforged';
+    }
+    
+    static get description() {
+        return 'Minions it kills are consecrated and can never be revived';
+    }
+    
+    static get threatTier() {
+        return 3;
+    }
+    
+    static get firstWave() {
+        return 9;
+    }
+    
+    static get spawnWeight() {
+        return 2;
+    }
+}
+
+// Registry of all hero types
+const HeroRegistry = {
+    'militiant': Militiant,
+    'pikedead': Pikedead,
+    'ashboltscout': AshboltScout,
+    'cleansedsister': CleansedSister,
+    'oathblade': Oathblade,
+    'sainthusk': SaintHusk,
+    'bannerjudge': BannerJudge,
+    'blightbreaker': Blightbreaker,
+    'gildmarcher': Gildmarcher,
+    'seerwarden': SeerWarden,
+    'lightforged': Lightforged
+};
\ No newline at end of file
@@ -19,6 +19,9 @@ class Lane {
         
         // Track minions for easy access
         this.minions = [];
+        
+        // Projectiles in flight
+        this.projectiles = [];
     }
     
     /**
@@ -26,17 +29,84 @@ class Lane {
      * @param {number} deltaTime - Time elapsed since last update in ms
      */
     update(deltaTime) {
+        // Remember where heroes started this tick for render interpolation
+        for (const hero of this.heroes) {
+            hero.previousPosition = hero.position;
+        }
+        
+        // Auras follow whoever is in the lane right now
+        this.updateAuras();
+        this.updateDetection();
+        
         // Update all tiles
         for (const tile of this.tiles) {
             tile.update(deltaTime);
         }
         
-        // Update all heroes
-        for (let i = this.heroes.length - 1; i >= 0; i--) {
-            this.heroes[i].update(deltaTime);
+        // Update all heroes; iterate a copy, since a hero's attack can kill
+        // others (a Carrion Husk blast) and remove them from the lane mid-loop
+        for (const hero of [...this.heroes]) {
+            if (hero.health <= 0 || !this.heroes.includes(hero)) continue;
+            
+            hero.updateStatusEffects(deltaTime);
+            hero.update(deltaTime);
+        }
+        
+        // Update projectiles, including any fired this tick
+        for (const projectile of this.projectiles) {
+            projectile.update(deltaTime, this);
+        }
+        this.projectiles = this.projectiles.filter(projectile => projectile.active);
+    }
+    
+    /**
+     * Recompute lane auras: every unit's auras reach its allies in this lane
+     * Called at the start of each tick, so auras vanish as soon as their source dies or is silenced
+     */
+    updateAuras() {
+        const collect = units => {
+            const auras = [];
+            for (const unit of units) {
+                for (const aura of unit.getAuras()) {
+                    auras.push({ ...aura, source: unit });
+                }
+            }
+            return auras;
+        };
+        
+        const apply = (units, auras) => {
+            for (const unit of units) {
+                unit.applyAuras(auras.filter(aura => aura.source !== unit || aura.affectsSelf));
+            }
+        };
+        
+        apply(this.heroes, collect(this.heroes));
+        apply(this.minions, collect(this.minions));
+    }
+    
+    /**
+     * Reveal stealthed minions within detection range of a hero
+     * Recomputed at the start of each tick, so minions slip back into stealth
+     * as soon as the detector dies or walks past
+     */
+    updateDetection() {
+        const detectors = this.heroes.filter(hero => hero.detectionRange > 0);
+        
+        for (const minion of this.minions) {
+            minion.revealed = minion.stealthed && detectors.some(hero =>
+                Math.abs(hero.position - minion.position) <= hero.getStat('detectionRange')
+            );
         }
     }
     
+    /**
+     * Get the minions heroes can see and target
+     * @returns {Minion[]} - Minions that are not hidden by stealth
+     */
+    getVisibleMinions() {
+        return this.minions.filter(minion => !minion.isHidden());
+    }
+    
     /**
      * Render the lane
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -54,6 +124,11 @@ class Lane {
         for (const hero of this.heroes) {
             hero.render(ctx, tileWidth, laneHeight);
         }
+        
+        // Render projectiles on top of units
+        for (const projectile of this.projectiles) {
+            projectile.render(ctx, tileWidth, laneHeight);
+        }
     }
     
     /**
@@ -112,6 +187,14 @@ class Lane {
         }
     }
     
+    /**
+     * Add a projectile to the lane
+     * @param {Projectile} projectile - The projectile to add
+     */
+    addProjectile(projectile) {
+        this.projectiles.push(projectile);
+    }
+    
     /**
      * Add a hero to the lane
      * @param {Hero} hero - The hero to add
@@ -122,32 +205,13 @@ class Lane {
     
     /**
      * Remove a hero from the lane
+     * Only called on a hero's final death; deaths cancelled by death hooks never get here.
+     * Kill rewards are paid separately by Game.resolveKillRewards
      * @param {Hero} hero - The hero to remove
      */
     removeHero(hero) {
         const index = this.heroes.indexOf(hero);
         if (index !== -1) {
-            // Notify Dreadchant minions in this lane about the hero's death
-            for (const minion of this.minions) {
-                if (minion.onEnemyDeath && typeof minion.onEnemyDeath === 'function') {
-                    minion.onEnemyDeath(hero);
-                }
-            }
-            
-            // Award Daen for hero kill (50% chance, 1 Daen per hero)
-            if (Math.random() < 0.5) {
-                this.game.daen += 1;
-                this.game.updateDaenDisplay();
-                
-                // Show floating text for Daen gain
-                this.game.showFloatingText(
-                    '+1 Daen',
-                    hero.position * this.game.tileWidth,
-                    this.index * this.game.laneHeight + 20,
-                    '#9c27b0' // Purple color
-                );
-            }
-            
             this.heroes.splice(index, 1);
         }
     }
@@ -9,6 +9,16 @@ class Minion extends Unit {
         // Minion-specific properties
         this.cost = 5; // Base Daen cost
         this.cooldown = 0; // Ability cooldown
+        
+        // Stealthed minions cannot be targeted by heroes unless revealed (see Lane.updateDetection)
+        this.stealthed = false;
+        this.revealed = false; // Recomputed every tick
+        
+        // Summoned minions (see Game.summonMinion) are free and temporary
+        this.summoned = false;
+        this.summoner = null;
+        this.lifetime = null; // Remaining ms before the minion expires, null for permanent
+        this.maxLifetime = null;
     }
     
     /**
@@ -24,13 +34,15 @@ class Minion extends Unit {
         // Get lane object
         const lane = this.game.lanes[this.lane];
         
-        // Find closest hero in range
-        const target = this.findTarget(lane);
+        // Find heroes in range, in targeting order
+        const targets = this.findTargets(lane);
         
-        // Attack if target found and cooldown is ready
-        if (target && this.attackCooldown <= 0) {
-            this.attack(target);
-            this.attackCooldown = 1000 / this.attackSpeed; // Reset cooldown
+        // Attack if targets found and cooldown is ready
+        if (targets.length > 0 && this.attackCooldown <= 0) {
+            for (const target of targets) {
+                this.attack(target);
+            }
+            this.attackCooldown = 1000 / this.getStat('attackSpeed'); // Reset cooldown
         }
         
         // Update ability cooldown
@@ -40,34 +52,153 @@ class Minion extends Unit {
     }
     
     /**
-     * Find the closest hero in attack range
+     * Find the preferred hero in attack range
      * @param {Lane} lane - The lane to search in
      * @returns {Hero|null} - The target hero or null if none found
      */
     findTarget(lane) {
-        let closestHero = null;
-        let closestDistance = Infinity;
-        
-        for (const hero of lane.heroes) {
-            const distance = Math.abs(this.position - hero.position);
-            
-            // Check if hero is in range and closer than current closest
-            if (distance <= this.attackRange && distance < closestDistance) {
-                closestHero = hero;
-                closestDistance = distance;
-            }
+        return this.findTargets(lane)[0] || null;
+    }
+    
+    /**
+     * Find the heroes this minion attacks (up to targetCount, in targeting order)
+     * @param {Lane} lane - The lane to search in
+     * @returns {Hero[]} - Heroes in range
+     */
+    findTargets(lane) {
+        return this.getTargetsInRange(lane.heroes);
+    }
+    
+    /**
+     * Check whether one of this minion's declared abilities can be used right now
+     * @param {string} id - Ability id from the class's static abilities
+     * @returns {boolean} - False while silenced, unless the ability is passive
+     * @throws {Error} If the minion does not declare the ability
+     */
+    canUseAbility(id) {
+        const ability = this.constructor.abilities.find(entry => entry.id === id);
+        if (!ability) {
+            throw new Error(`${this.constructor.name} has no ability "${id}"`);
         }
         
-        return closestHero;
+        return ability.passive || !this.isSilenced();
     }
     
     /**
      * Handle minion death
+     * @param {Object} result - Damage result from the killing blow, carrying the kill record
      */
-    die() {
+    die(result) {
         // Remove from lane
         const lane = this.game.lanes[this.lane];
         lane.removeMinion(this);
+        
+        // Remember the fallen for revival effects; summons are not worth raising
+        if (!this.summoned) {
+            this.game.deathLedger.record(this, this.game.tick, result.kill.killer);
+        }
+        
+        this.game.resolveKillRewards(result.kill);
+    }
+    
+    /**
+     * Count down a summoned minion's lifetime and dismiss it when it runs out
+     * Called by the owning tile before update()
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     */
+    updateLifetime(deltaTime) {
+        if (this.lifetime === null) return;
+        
+        this.lifetime -= deltaTime;
+        if (this.lifetime <= 0) {
+            this.expire();
+        }
+    }
+    
+    /**
+     * Remove a summoned minion whose time is up; unlike die() it leaves no corpse
+     */
+    expire() {
+        this.health = 0;
+        this.game.lanes[this.lane].removeMinion(this);
+    }
+    
+    /**
+     * Check whether heroes can see this minion
+     * @returns {boolean} - True if stealthed and no detector has revealed it
+     */
+    isHidden() {
+        return this.stealthed && !this.revealed;
+    }
+    
+    /**
+     * Render the minion; summons and stealthed minions are drawn translucent,
+     * and summons get a ring showing their remaining time
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileWidth - Width of a tile in pixels
+     * @param {number} laneHeight - Height of a lane in pixels
+     */
+    render(ctx, tileWidth, laneHeight) {
+        let alpha = this.summoned ? 0.55 : 1.0;
+        if (this.stealthed) {
+            alpha *= this.revealed ? 0.75 : 0.35;
+        }
+        
+        ctx.globalAlpha = alpha;
+        super.render(ctx, tileWidth, laneHeight);
+        ctx.globalAlpha = 1.0;
+        
+        if (this.summoned && this.lifetime !== null) {
+            const x = this.position * tileWidth + (tileWidth / 2);
+            const y = this.lane * laneHeight + (laneHeight / 2);
+            const radius = Math.min(tileWidth, laneHeight) * this.size / 2 + 3;
+            const remaining = Math.max(0, this.lifetime / this.maxLifetime);
+            
+            ctx.strokeStyle = '#b388ff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * remaining);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Get the MinionRegistry key for this minion
+     * @returns {string} - Registry key
+     */
+    getType() {
+        return Object.keys(MinionRegistry).find(type => MinionRegistry[type] === this.constructor);
+    }
+    
+    /**
+     * Snapshot the minion's state for a save game
+     * @returns {Object} - Serialized minion state
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            cooldown: this.cooldown,
+            summoned: this.summoned,
+            lifetime: this.lifetime,
+            maxLifetime: this.maxLifetime
+        };
+    }
+    
+    /**
+     * Restore state produced by serialize()
+     * @param {Object} data - Serialized minion state
+     */
+    restoreState(data) {
+        super.restoreState(data);
+        this.cooldown = data.cooldown;
+        this.summoned = data.summoned;
+        this.lifetime = data.lifetime;
+        this.maxLifetime = data.maxLifetime;
+        
+        // Summons are worth nothing (the summoner link is not saved)
+        if (this.summoned) {
+            this.cost = 0;
+        }
     }
     
     /**
@@ -84,6 +215,15 @@ class Minion extends Unit {
     static get description() {
         return 'Base minion unit'; // Default description
     }
+    
+    /**
+     * Abilities are the special behaviours silence switches off.
+     * Entries: { id, name, description, passive }; passive traits always work.
+     * Basic attacks are never abilities.
+     */
+    static get abilities() {
+        return [];
+    }
 }
 
 /**
@@ -136,6 +276,11 @@ class Gravelim extends Minion {
         this.attackRange = 7; // Increased from 3 to 7
         this.moveSpeed = 0;
         
+        // Slow shots that hit the first hero in their path
+        this.projectileSpeed = 3;
+        this.projectileMode = 'path';
+        this.projectileColor = '#90caf9';
+        
         // Visual properties
         this.color = '#2196f3'; // Blue
         this.size = 0.55;
@@ -219,6 +364,9 @@ class DaemonAltar extends Minion {
     }
     
     update(deltaTime) {
+        // Silence stalls the pulse
+        if (!this.canUseAbility('daenPulse')) return;
+        
         // Update pulse timer
         this.pulseTimer += deltaTime;
         
@@ -230,6 +378,18 @@ class DaemonAltar extends Minion {
         }
     }
     
+    serialize() {
+        return {
+            ...super.serialize(),
+            pulseTimer: this.pulseTimer
+        };
+    }
+    
+    restoreState(data) {
+        super.restoreState(data);
+        this.pulseTimer = data.pulseTimer;
+    }
+    
     render(ctx, tileWidth, laneHeight) {
         // Call parent render method
         super.render(ctx, tileWidth, laneHeight);
@@ -264,6 +424,14 @@ class DaemonAltar extends Minion {
     static get description() {
         return 'Generates +1 Daen every 20 seconds';
     }
+    
+    static get abilities() {
+        return [{
+            id: 'daenPulse',
+            name: 'Daen Pulse',
+            description: 'Generates +1 Daen every 20 seconds'
+        }];
+    }
 }
 
 /**
@@ -283,8 +451,8 @@ class Dreadchant extends Minion {
         this.moveSpeed = 0;
         
         // Special properties
-        this.daenPerKill = 3; // Daen gained per enemy death
-        this.conversionRange = 3; // Range in tiles
+        this.daenPerKill = 3; // Daen gained per hero killed nearby
+        this.conversionRange = 3; // Range in tiles from the killer
         
         // Visual properties
         this.color = '#ff9800'; // Orange
@@ -292,24 +460,25 @@ class Dreadchant extends Minion {
     }
     
     /**
-     * Called when a hero dies in the same lane
-     * @param {Hero} hero - The hero that died
+     * Claim Daen when a nearby minion in this lane (this one included) kills a hero
+     * Keyed off the kill's attribution, so a hero dying to sourceless damage pays nothing
+     * @param {Object} kill - Attribution record from Unit.createKillRecord
+     * @returns {Object[]} - Rewards for Game.resolveKillRewards
      */
-    onEnemyDeath(hero) {
-        // Check if hero is within conversion range
-        if (Math.abs(this.position - hero.position) <= this.conversionRange) {
-            // Add Daen directly to the game's daen property
-            this.game.daen += this.daenPerKill;
-            // Update the UI to reflect the new Daen amount
-            this.game.updateDaenDisplay();
-            // Visual feedback
-            this.game.showFloatingText(
-                `+${this.daenPerKill} Daen`,
-                this.position * this.game.tileWidth,
-                this.lane * this.game.laneHeight + 20,
-                '#ffeb3b' // Yellow
-            );
-        }
+    getKillRewards(kill) {
+        const { victim, killer } = kill;
+        if (!(victim instanceof Hero) || !(killer instanceof Minion)) return [];
+        if (!this.canUseAbility('soulHarvest')) return [];
+        if (killer.lane !== this.lane || Math.abs(killer.position - this.position) > this.conversionRange) return [];
+        
+        return [{
+            id: 'soulHarvest',
+            amount: this.daenPerKill,
+            lane: this.lane,
+            position: this.position,
+            color: '#ffeb3b', // Yellow
+            source: this
+        }];
     }
     
     static get cost() {
@@ -320,8 +489,465 @@ class Dreadchant extends Minion {
         return 'Dreadchant';
     }
     
+    static get targeting() {
+        return 'lowestHealth';
+    }
+    
+    static get description() {
+        return 'Gains Daen when nearby minions slay heroes';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'soulHarvest',
+            name: 'Soul Harvest',
+            description: 'Gains 3 Daen when it or a minion within 3 tiles in its lane lands the killing blow on a hero'
+        }];
+    }
+}
+
+/**
+ * CarrionHusk - Area denial minion
+ * Bloated corpse that bursts on death, hitting a 3x3 area
+ */
+class CarrionHusk extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 70;
+        this.maxHealth = 70;
+        this.damage = 0;
+        this.attackSpeed = 0;
+        this.attackRange = 0;
+        this.moveSpeed = 0;
+        
+        // Special properties
+        this.blastDamage = 45;
+        this.blastLaneRange = 1; // Lanes either side
+        this.blastTileRange = 1; // Whole tiles either side; drives both the damage area and the effect
+        
+        // Visual properties
+        this.color = '#795548'; // Brown
+        this.size = 0.75;
+    }
+    
+    update(deltaTime) {
+        // Carrion Husk doesn't attack, it waits to be killed
+    }
+    
+    /**
+     * Burst on death, damaging heroes in the surrounding 3x3 area
+     * @param {Object} [result] - Damage result from the killing blow
+     */
+    die(result) {
+        super.die(result);
+        
+        if (!this.canUseAbility('corpseBurst')) return;
+        
+        // Reach the far edge of the outermost tile, the same area the blast effect draws
+        const reach = this.blastTileRange + 0.5;
+        const heroes = this.game.getUnitsInArea(this.lane, this.position, this.blastLaneRange, reach, 'heroes');
+        for (const hero of heroes) {
+            this.dealDamage(hero, this.blastDamage, DamageTypes.PHYSICAL, 'corpseBurst');
+        }
+        
+        this.game.showEffect('blast', this.lane, this.position, {
+            laneRange: this.blastLaneRange,
+            tileRange: this.blastTileRange,
+            color: '#a1887f',
+            duration: 600
+        });
+    }
+    
+    static get cost() {
+        return 6;
+    }
+    
+    static get name() {
+        return 'Carrion Husk';
+    }
+    
+    static get description() {
+        return 'Explodes on death, damaging heroes around it';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'corpseBurst',
+            name: 'Corpse Burst',
+            description: 'On death, deals 45 physical damage to every hero in a 3x3 area: its own tile and the neighbouring tiles in its lane and the lanes above and below'
+        }];
+    }
+}
+
+/**
+ * Necrothurge - Mass reanimation
+ * Periodically raises fallen minions anywhere on the board at 25% HP
+ */
+class Necrothurge extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 60;
+        this.maxHealth = 60;
+        this.damage = 0;
+        this.attackSpeed = 0;
+        this.attackRange = 0;
+        this.moveSpeed = 0;
+        
+        // Special properties
+        this.reviveInterval = 15000; // 15 seconds between reanimations
+        this.maxRevives = 3; // Minions raised per reanimation
+        this.reviveHealth = 0.25; // Fraction of max HP revived minions return with
+        
+        // Visual properties
+        this.color = '#00bfa5'; // Teal
+        this.size = 0.7;
+    }
+    
+    update(deltaTime) {
+        if (!this.canUseAbility('massReanimation')) return;
+        
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+            return;
+        }
+        
+        // Stay ready until there is something to raise
+        if (this.reanimate() > 0) {
+            this.cooldown = this.reviveInterval;
+        }
+    }
+    
+    /**
+     * Revive the most recent revivable minions from the death ledger
+     * @returns {number} - Number of minions revived
+     */
+    reanimate() {
+        let revived = 0;
+        
+        for (const entry of this.game.deathLedger.getRevivable()) {
+            if (revived >= this.maxRevives) break;
+            
+            if (this.game.reviveMinion(entry, this.reviveHealth)) {
+                revived++;
+            }
+        }
+        
+        return revived;
+    }
+    
+    static get cost() {
+        return 12;
+    }
+    
+    static get name() {
+        return 'Necrothurge';
+    }
+    
+    static get description() {
+        return 'Revives fallen minions at 25% HP';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'massReanimation',
+            name: 'Mass Reanimation',
+            description: 'Every 15s, raises up to 3 of the most recently fallen minions anywhere on the board at 25% HP, on their old tile or the nearest free tile in their lane. Minions killed by Lightforged stay dead.'
+        }];
+    }
+}
+
+/**
+ * Soulweft - Summoner
+ * Periodically weaves temporary Ashlings onto free tiles nearby
+ */
+class Soulweft extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 70;
+        this.maxHealth = 70;
+        this.damage = 0;
+        this.attackSpeed = 0;
+        this.attackRange = 0;
+        this.moveSpeed = 0;
+        
+        // Special properties
+        this.summonType = 'ashling';
+        this.summonInterval = 12000; // 12 seconds between summons
+        this.summonLifetime = 20000; // Summoned Ashlings last 20 seconds
+        
+        // Visual properties
+        this.color = '#7e57c2'; // Violet
+        this.size = 0.65;
+    }
+    
+    update(deltaTime) {
+        if (!this.canUseAbility('weaveAshling')) return;
+        
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+            return;
+        }
+        
+        // Stay ready until a nearby tile frees up
+        if (this.game.summonMinion(this.summonType, this, { lifetime: this.summonLifetime })) {
+            this.cooldown = this.summonInterval;
+        }
+    }
+    
+    static get cost() {
+        return 10;
+    }
+    
+    static get name() {
+        return 'Soulweft';
+    }
+    
+    static get description() {
+        return 'Periodically spawns Ashlings nearby';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'weaveAshling',
+            name: 'Weave Ashling',
+            description: 'Every 12s, summons an Ashling on the closest free tile within 1 tile and 1 lane. Summons last 20s, cost nothing and cannot be revived.'
+        }];
+    }
+}
+
+/**
+ * Gravemaid - Lifestealer
+ * Heals for part of the damage her attacks deal
+ */
+class Gravemaid extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 70;
+        this.maxHealth = 70;
+        this.damage = 12;
+        this.attackSpeed = 1.0;
+        this.attackRange = 2;
+        this.moveSpeed = 0;
+        
+        // Special properties
+        this.lifesteal = 0.5; // Fraction of damage dealt returned as healing
+        
+        // Visual properties
+        this.color = '#ad1457'; // Crimson
+        this.size = 0.6;
+    }
+    
+    /**
+     * Heal for a share of the damage that actually landed and fester the wound
+     * @param {Unit} target - Target unit
+     * @param {Object} result - Damage result from takeDamage()
+     */
+    onHit(target, result) {
+        if (result.amount > 0 && this.canUseAbility('lifesteal')) {
+            this.heal(result.amount * this.lifesteal, { source: this });
+        }
+        
+        if (target.health > 0 && this.canUseAbility('festeringWounds')) {
+            target.applyStatus('antiheal', { source: this });
+        }
+    }
+    
+    static get cost() {
+        return 7;
+    }
+    
+    static get name() {
+        return 'Gravemaid';
+    }
+    
+    static get description() {
+        return 'Heals on attack and festers the wounds she deals';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'lifesteal',
+            name: 'Lifesteal',
+            description: 'Heals for 50% of the damage her attacks deal after armor. Healing cannot exceed max HP.'
+        }, {
+            id: 'festeringWounds',
+            name: 'Festering Wounds',
+            description: 'Heroes she hits receive 50% less healing for 4 seconds.'
+        }];
+    }
+}
+
+/**
+ * Spineshade - Anti-armor minion
+ * Bone spines that punch through plate
+ */
+class Spineshade extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 50;
+        this.maxHealth = 50;
+        this.damage = 9;
+        this.attackSpeed = 1.0;
+        this.attackRange = 3;
+        this.moveSpeed = 0;
+        
+        // Special properties
+        this.armoredBonus = 1.75; // Damage multiplier against heroes with armor
+        
+        // Visual properties
+        this.color = '#b0bec5'; // Bone grey
+        this.size = 0.55;
+    }
+    
+    /**
+     * Deal bonus damage to armored targets
+     * @param {Unit} target - Target unit
+     * @param {number} amount - Damage so far
+     * @param {string} type - Damage type
+     * @returns {number} - Adjusted damage
+     */
+    modifyOutgoingDamage(target, amount, type) {
+        if (!this.canUseAbility('boneSpines')) return amount;
+        
+        return target.getStat('armor') > 0 ? amount * this.armoredBonus : amount;
+    }
+    
+    static get cost() {
+        return 6;
+    }
+    
+    static get name() {
+        return 'Spineshade';
+    }
+    
+    static get targeting() {
+        return 'armoredFirst';
+    }
+    
+    static get description() {
+        return 'Deals heavy bonus damage to armored heroes';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'boneSpines',
+            name: 'Bone Spines',
+            description: 'Deals 75% bonus damage to heroes with any armor'
+        }];
+    }
+}
+
+/**
+ * WormboundKnight - Elite tank
+ * Magic-immune armored knight whose swings cleave every hero in reach
+ */
+class WormboundKnight extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 320;
+        this.maxHealth = 320;
+        this.damage = 18;
+        this.attackSpeed = 0.7;
+        this.attackRange = 1.5;
+        this.targetCount = Infinity; // Cleave: hits every hero in range
+        this.moveSpeed = 0;
+        this.armor = 40;
+        this.immunities = [DamageTypes.MAGIC];
+        
+        // Visual properties
+        this.color = '#5d4037'; // Dark brown
+        this.size = 0.85;
+    }
+    
+    /**
+     * Cleave hits every hero in range; silenced, it hits only the closest
+     * @param {Lane} lane - The lane to search in
+     * @returns {Hero[]} - Heroes in range
+     */
+    findTargets(lane) {
+        const targets = super.findTargets(lane);
+        return this.canUseAbility('cleave') ? targets : targets.slice(0, 1);
+    }
+    
+    static get cost() {
+        return 20;
+    }
+    
+    static get name() {
+        return 'Wormbound Knight';
+    }
+    
     static get description() {
-        return 'Gains Daen when enemies die nearby';
+        return 'Magic-immune elite tank that cleaves';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'cleave',
+            name: 'Cleave',
+            description: 'Each swing hits every hero within 1.5 tiles in its lane'
+        }, {
+            id: 'wormhide',
+            name: 'Wormhide',
+            description: 'Immune to magic damage; 40 armor',
+            passive: true
+        }];
+    }
+}
+
+/**
+ * Shroudling - Stealth assassin
+ * Hidden from heroes until a detector comes near
+ */
+class Shroudling extends Minion {
+    constructor(lane, position, game) {
+        super(lane, position, game);
+        
+        // Override base properties
+        this.health = 45;
+        this.maxHealth = 45;
+        this.damage = 14;
+        this.attackSpeed = 1.2;
+        this.attackRange = 1;
+        this.moveSpeed = 0;
+        this.stealthed = true;
+        
+        // Visual properties
+        this.color = '#546e7a'; // Smoke grey
+        this.size = 0.55;
+    }
+    
+    static get cost() {
+        return 6;
+    }
+    
+    static get name() {
+        return 'Shroudling';
+    }
+    
+    static get description() {
+        return 'Stealthed; heroes cannot target it without a detector';
+    }
+    
+    static get abilities() {
+        return [{
+            id: 'shroud',
+            name: 'Shroud',
+            description: 'Cannot be targeted by heroes unless a detector such as the Seer-Warden is within range',
+            passive: true
+        }];
     }
 }
 
@@ -331,5 +957,12 @@ const MinionRegistry = {
     'gravelim': Gravelim,
     'gnarlroot': Gnarlroot,
     'daemonaltar': DaemonAltar,
-    'dreadchant': Dreadchant
+    'dreadchant': Dreadchant,
+    'carrionhusk': CarrionHusk,
+    'spineshade': Spineshade,
+    'gravemaid': Gravemaid,
+    'necrothurge': Necrothurge,
+    'soulweft': Soulweft,
+    'wormboundknight': WormboundKnight,
+    'shroudling': Shroudling
 };
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Projectile - A shot travelling along a lane
+ * Owned and updated by Lane. Two modes:
+ * - 'path':   flies straight and hits the first enemy it passes through
+ * - 'target': homes in on a locked target and fizzles if the target dies first
+ */
+class Projectile {
+    /**
+     * @param {number} lane - Lane index
+     * @param {number} position - Starting position in tiles
+     * @param {Game} game - The game instance
+     * @param {Object} options
+     * @param {string} options.team - 'minion' shots hit heroes, 'hero' shots hit minions
+     * @param {number} options.damage - Damage dealt on hit
+     * @param {string} [options.damageType='physical'] - Damage type (see DamageTypes)
+     * @param {number} [options.direction=1] - Travel direction for path shots (1 right, -1 left)
+     * @param {number} [options.speed=4] - Speed in tiles per second
+     * @param {string} [options.mode='path'] - 'path' or 'target'
+     * @param {Unit} [options.target] - Locked target for 'target' mode
+     * @param {Unit} [options.source] - Unit that fired the shot
+     * @param {number} [options.maxRange=Infinity] - Distance in tiles before the shot expires
+     * @param {string} [options.color='#ffffff'] - Render color
+     * @param {number} [options.size=0.12] - Radius relative to tile size
+     */
+    constructor(lane, position, game, options) {
+        this.lane = lane;
+        this.position = position;
+        this.previousPosition = position;
+        this.game = game;
+
+        this.team = options.team;
+        this.damage = options.damage;
+        this.damageType = options.damageType || DamageTypes.PHYSICAL;
+        this.direction = options.direction || 1;
+        this.speed = options.speed || 4;
+        this.mode = options.mode || 'path';
+        this.target = options.target || null;
+        this.source = options.source || null;
+        this.maxRange = options.maxRange !== undefined ? options.maxRange : Infinity;
+        this.distanceTravelled = 0;
+
+        // Visual properties
+        this.color = options.color || '#ffffff';
+        this.size = options.size || 0.12;
+
+        this.hitRadius = 0.25; // Tiles either side of a unit that count as a hit
+        this.active = true;
+    }
+
+    /**
+     * Advance the projectile and resolve hits
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     * @param {Lane} lane - The lane the projectile is in
+     */
+    update(deltaTime, lane) {
+        this.previousPosition = this.position;
+        const step = (this.speed * deltaTime) / 1000;
+
+        if (this.mode === 'target') {
+            this.updateLocked(step, lane);
+        } else {
+            this.updatePath(step, lane);
+        }
+
+        // Expire once out of range or off the board
+        if (this.active && (this.distanceTravelled >= this.maxRange ||
+            this.position < -1 || this.position > lane.tileCount)) {
+            this.active = false;
+        }
+    }
+
+    /**
+     * Move towards the locked target, hitting it on arrival
+     * @param {number} step - Distance to travel this tick in tiles
+     * @param {Lane} lane - The lane the projectile is in
+     */
+    updateLocked(step, lane) {
+        // Miss if the target died while the shot was in flight
+        if (!this.target || this.target.health <= 0 || !this.getTargets(lane).includes(this.target)) {
+            this.active = false;
+            return;
+        }
+
+        const distance = this.target.position - this.position;
+        if (Math.abs(distance) <= step + this.hitRadius) {
+            this.position = this.target.position;
+            this.distanceTravelled += Math.abs(distance);
+            this.hit(this.target);
+            return;
+        }
+
+        this.direction = Math.sign(distance);
+        this.position += step * this.direction;
+        this.distanceTravelled += step;
+    }
+
+    /**
+     * Move in a straight line, hitting the first enemy passed through
+     * @param {number} step - Distance to travel this tick in tiles
+     * @param {Lane} lane - The lane the projectile is in
+     */
+    updatePath(step, lane) {
+        const start = this.position;
+        const end = start + step * this.direction;
+
+        let firstHit = null;
+        let firstDistance = Infinity;
+
+        for (const unit of this.getTargets(lane)) {
+            // Distance along the flight direction to the near edge of the unit
+            const distance = (unit.position - start) * this.direction - this.hitRadius;
+            if (distance <= step && distance > -2 * this.hitRadius && distance < firstDistance) {
+                firstHit = unit;
+                firstDistance = distance;
+            }
+        }
+
+        if (firstHit) {
+            this.position = firstHit.position;
+            this.distanceTravelled += Math.max(0, firstDistance);
+            this.hit(firstHit);
+            return;
+        }
+
+        this.position = end;
+        this.distanceTravelled += step;
+    }
+
+    /**
+     * Get the units this projectile can hit
+     * @param {Lane} lane - The lane the projectile is in
+     * @returns {Unit[]} - Enemy units in the lane; hero shots pass through hidden minions
+     */
+    getTargets(lane) {
+        return this.team === 'minion' ? lane.heroes : lane.getVisibleMinions();
+    }
+
+    /**
+     * Apply the projectile's damage and remove it
+     * @param {Unit} target - The unit hit
+     */
+    hit(target) {
+        this.active = false;
+
+        // Living shooters run the full pipeline so their on-hit effects apply
+        if (this.source && this.source.health > 0) {
+            this.source.dealDamage(target, this.damage, this.damageType, 'projectile');
+        } else {
+            target.takeDamage(this.damage, { type: this.damageType, source: this.source, origin: 'projectile' });
+        }
+    }
+
+    /**
+     * Render the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileWidth - Width of a tile in pixels
+     * @param {number} laneHeight - Height of a lane in pixels
+     */
+    render(ctx, tileWidth, laneHeight) {
+        const alpha = this.game ? this.game.renderAlpha : 1;
+        const position = this.previousPosition + (this.position - this.previousPosition) * alpha;
+
+        const x = position * tileWidth + (tileWidth / 2);
+        const y = this.lane * laneHeight + (laneHeight / 2);
+        const radius = Math.min(tileWidth, laneHeight) * this.size / 2;
+
+        // Short trail behind the shot
+        ctx.strokeStyle = this.color;
+        ctx.globalAlpha = 0.4;
+        ctx.lineWidth = radius;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - this.direction * radius * 4, y);
+        ctx.stroke();
+        ctx.globalAlpha = 1.0;
+
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Snapshot the projectile for a save game
+     * Units are stored as their index in the lane's minion/hero list
+     * @param {Lane} lane - The lane the projectile is in
+     * @returns {Object} - Serialized projectile
+     */
+    serialize(lane) {
+        const indexOf = unit => {
+            if (!unit) return -1;
+            return (unit instanceof Hero ? lane.heroes : lane.minions).indexOf(unit);
+        };
+
+        return {
+            position: this.position,
+            team: this.team,
+            damage: this.damage,
+            damageType: this.damageType,
+            direction: this.direction,
+            speed: this.speed,
+            mode: this.mode,
+            maxRange: this.maxRange === Infinity ? null : this.maxRange,
+            distanceTravelled: this.distanceTravelled,
+            color: this.color,
+            size: this.size,
+            targetIndex: indexOf(this.target),
+            sourceIndex: indexOf(this.source)
+        };
+    }
+
+    /**
+     * Recreate a projectile from serialize() output
+     * Must run after the lane's units have been restored
+     * @param {Object} data - Serialized projectile
+     * @param {Lane} lane - The lane to restore into
+     * @param {Game} game - The game instance
+     * @returns {Projectile} - The restored projectile
+     */
+    static restore(data, lane, game) {
+        const enemies = data.team === 'minion' ? lane.heroes : lane.minions;
+        const allies = data.team === 'minion' ? lane.minions : lane.heroes;
+
+        const projectile = new Projectile(lane.index, data.position, game, {
+            ...data,
+            maxRange: data.maxRange === null ? Infinity : data.maxRange,
+            target: enemies[data.targetIndex] || null,
+            source: allies[data.sourceIndex] || null
+        });
+        projectile.distanceTravelled = data.distanceTravelled;
+
+        return projectile;
+    }
+}
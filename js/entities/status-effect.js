@@ -0,0 +1,120 @@
+/**
+ * Status effect definitions
+ * modifiers - Multipliers applied to unit stats per stack (see Unit.getStat)
+ * flags     - Behaviour switches such as 'silenced'
+ * stacking  - 'refresh' (reset duration), 'stack' (add a stack up to maxStacks
+ *             and refresh) or 'independent' (every application is separate)
+ */
+const StatusEffectTypes = {
+    silence: {
+        name: 'Silence',
+        icon: 'X',
+        color: '#ab47bc',
+        isDebuff: true,
+        stacking: 'refresh',
+        duration: 3000,
+        flags: ['silenced']
+    },
+    antiheal: {
+        name: 'Festering Wounds',
+        icon: 'W',
+        color: '#d32f2f',
+        isDebuff: true,
+        stacking: 'refresh',
+        duration: 4000,
+        modifiers: { healingReceived: 0.5 }
+    }
+};
+
+/**
+ * StatusEffect - A timed effect on a unit
+ * Created through Unit.applyStatus rather than directly
+ */
+class StatusEffect {
+    /**
+     * @param {string} type - Key in StatusEffectTypes
+     * @param {Object} [options] - Overrides for any field of the definition
+     * @param {Unit} [options.source] - Unit that applied the effect
+     */
+    constructor(type, options = {}) {
+        const definition = StatusEffectTypes[type];
+        if (!definition) {
+            throw new Error(`Unknown status effect: ${type}`);
+        }
+
+        const { source = null, ...overrides } = options;
+
+        this.type = type;
+        this.options = overrides; // Kept so saves can recreate the effect
+        this.source = source;
+
+        Object.assign(this, {
+            modifiers: {},
+            flags: [],
+            maxStacks: 1,
+            dispellable: true
+        }, definition, overrides);
+
+        this.remaining = this.duration;
+        this.stacks = 1;
+    }
+
+    /**
+     * Get this effect's multiplier for a stat
+     * @param {string} stat - Stat name (e.g. 'moveSpeed')
+     * @returns {number} Multiplier, 1 if the effect does not touch the stat
+     */
+    getModifier(stat) {
+        const modifier = this.modifiers[stat];
+        return modifier === undefined ? 1 : Math.pow(modifier, this.stacks);
+    }
+
+    /**
+     * Check whether the effect sets a behaviour flag
+     * @param {string} flag - Flag name (e.g. 'silenced')
+     * @returns {boolean} True if the flag is set
+     */
+    hasFlag(flag) {
+        return this.flags.includes(flag);
+    }
+
+    /**
+     * Apply the effect again according to its stacking rule
+     * @param {number} duration - Duration of the new application
+     */
+    reapply(duration) {
+        if (this.stacking === 'stack') {
+            this.stacks = Math.min(this.maxStacks, this.stacks + 1);
+        }
+        this.remaining = Math.max(this.remaining, duration);
+    }
+
+    /**
+     * Advance the effect's timer
+     * @param {number} deltaTime - Time elapsed in ms
+     */
+    update(deltaTime) {
+        this.remaining -= deltaTime;
+    }
+
+    /**
+     * Check whether the effect has run out
+     * @returns {boolean} True if expired
+     */
+    isExpired() {
+        return this.remaining <= 0;
+    }
+
+    /**
+     * Snapshot the effect for a save game
+     * @returns {Object} Serialized effect
+     */
+    serialize() {
+        return {
+            type: this.type,
+            options: this.options,
+            remaining: this.remaining,
+            stacks: this.stacks
+        };
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Targeting strategies - How a unit orders the enemies in its attack range
+ * compare(unit, a, b) returns a negative number to prefer a, positive to prefer b.
+ * Every strategy falls back to the closest enemy on a tie.
+ * Unit classes pick a default with `static get targeting()`; minions can be
+ * switched individually from the inspect panel (see Game.setMinionTargeting).
+ */
+const compareTargetDistance = (unit, a, b) => Math.abs(unit.position - a.position) - Math.abs(unit.position - b.position);
+
+// How far a unit has pushed along its direction of travel (minions have none and count as facing right)
+const getTargetAdvancement = target => target.position * (target.direction || 1);
+
+// Heroes are ranked by threat tier, then by damage output; minions by damage output
+const getTargetDamageOutput = target => target.getStat('damage') * target.getStat('attackSpeed');
+
+const TargetingStrategies = {
+    closest: {
+        name: 'Closest',
+        description: 'Attacks the nearest enemy',
+        compare: compareTargetDistance
+    },
+    furthestAdvanced: {
+        name: 'Furthest Advanced',
+        description: 'Attacks the enemy that has pushed furthest, such as the hero nearest the castle',
+        compare: (unit, a, b) => getTargetAdvancement(b) - getTargetAdvancement(a) || compareTargetDistance(unit, a, b)
+    },
+    lowestHealth: {
+        name: 'Lowest HP',
+        description: 'Finishes off the enemy with the least health',
+        compare: (unit, a, b) => a.health - b.health || compareTargetDistance(unit, a, b)
+    },
+    highestThreat: {
+        name: 'Highest Threat',
+        description: 'Attacks the most dangerous enemy',
+        compare: (unit, a, b) =>
+            (b.constructor.threatTier || 0) - (a.constructor.threatTier || 0) ||
+            getTargetDamageOutput(b) - getTargetDamageOutput(a) ||
+            compareTargetDistance(unit, a, b)
+    },
+    armoredFirst: {
+        name: 'Armored First',
+        description: 'Attacks the enemy with the most armor',
+        compare: (unit, a, b) => b.getStat('armor') - a.getStat('armor') || compareTargetDistance(unit, a, b)
+    },
+    stealthedFirst: {
+        name: 'Stealthed First',
+        description: 'Attacks stealthed enemies before visible ones',
+        compare: (unit, a, b) => Number(Boolean(b.stealthed)) - Number(Boolean(a.stealthed)) || compareTargetDistance(unit, a, b)
+    }
+};
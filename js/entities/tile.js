@@ -43,7 +43,15 @@ class Tile {
     update(deltaTime) {
         // Update minion if present
         if (this.minion) {
-            this.minion.update(deltaTime);
+            this.minion.updateStatusEffects(deltaTime);
+            
+            // Summons expire when their lifetime runs out
+            this.minion.updateLifetime(deltaTime);
+            
+            // Expiry may have removed it
+            if (this.minion) {
+                this.minion.update(deltaTime);
+            }
         }
     }
     
@@ -1,3 +1,15 @@
+/**
+ * Damage types
+ * physical - Reduced by armor
+ * magic    - Reduced by magic resist
+ * true     - Never reduced
+ */
+const DamageTypes = {
+    PHYSICAL: 'physical',
+    MAGIC: 'magic',
+    TRUE: 'true'
+};
+
 /**
  * Unit - Base abstract class for all game units (minions and heroes)
  */
@@ -9,6 +21,7 @@ class Unit {
         
         this.lane = lane;
         this.position = position;
+        this.previousPosition = position; // Position at the start of the current tick
         this.game = game;
         
         // Base properties
@@ -17,9 +30,35 @@ class Unit {
         this.damage = 10;
         this.attackSpeed = 1; // Attacks per second
         this.attackRange = 1; // Tiles
+        this.targetCount = 1; // Enemies hit per attack (Infinity hits everything in range)
+        this.targeting = this.constructor.targeting; // Key in TargetingStrategies
         this.moveSpeed = 0.5; // Tiles per second
         this.attackCooldown = 0;
         
+        // Damage model
+        this.damageType = DamageTypes.PHYSICAL; // Type of damage this unit deals
+        this.armor = 0; // Each point reduces physical damage; 100 armor halves it
+        this.magicResist = 0; // Same curve as armor, for magic damage
+        this.immunities = []; // Damage types that deal no damage at all
+        this.healingReceived = 1; // Multiplier on incoming healing (anti-heal effects lower it)
+        
+        // Ranged attack properties (projectileSpeed 0 = instant hit)
+        this.projectileSpeed = 0; // Tiles per second
+        this.projectileMode = 'path'; // 'path' hits the first enemy in the way, 'target' homes in
+        this.projectileColor = '#ffffff';
+        
+        // Active status effects (see StatusEffect)
+        this.statusEffects = [];
+        
+        // Lane auras affecting the unit this tick (see Lane.updateAuras)
+        this.auras = [];
+        
+        // Functions run before the unit dies (see addDeathHook)
+        this.deathHooks = [];
+        
+        // Set by a killing blow from a hero that prevents revival (Lightforged)
+        this.consecrated = false;
+        
         // Visual properties
         this.color = '#ffffff'; // Default color
         this.size = 0.7; // Size relative to tile (0-1)
@@ -42,7 +81,7 @@ class Unit {
      */
     render(ctx, tileWidth, laneHeight) {
         // Calculate position on canvas
-        const x = this.position * tileWidth + (tileWidth / 2);
+        const x = this.getRenderPosition() * tileWidth + (tileWidth / 2);
         const y = this.lane * laneHeight + (laneHeight / 2);
         const radius = Math.min(tileWidth, laneHeight) * this.size / 2;
         
@@ -52,10 +91,44 @@ class Unit {
         ctx.arc(x, y, radius, 0, Math.PI * 2);
         ctx.fill();
         
+        // Silenced units are visibly gagged
+        if (this.isSilenced()) {
+            this.renderSilenced(ctx, x, y, radius);
+        }
+        
         // Draw health bar
         this.renderHealthBar(ctx, x, y, radius, tileWidth);
     }
     
+    /**
+     * Draw the silence marker: a purple ring struck through
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - X position of unit center
+     * @param {number} y - Y position of unit center
+     * @param {number} radius - Radius of unit circle
+     */
+    renderSilenced(ctx, x, y, radius) {
+        const ringRadius = radius + 4;
+        const offset = ringRadius * Math.SQRT1_2;
+        
+        ctx.strokeStyle = '#ab47bc';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, ringRadius, 0, Math.PI * 2);
+        ctx.moveTo(x - offset, y - offset);
+        ctx.lineTo(x + offset, y + offset);
+        ctx.stroke();
+    }
+    
+    /**
+     * Get the position to draw the unit at, interpolated between simulation ticks
+     * @returns {number} - Interpolated position in tiles
+     */
+    getRenderPosition() {
+        const alpha = this.game ? this.game.renderAlpha : 1;
+        return this.previousPosition + (this.position - this.previousPosition) * alpha;
+    }
+    
     /**
      * Render health bar above the unit
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -78,6 +151,39 @@ class Unit {
         const healthPercentage = this.health / this.maxHealth;
         ctx.fillStyle = this.getHealthColor(healthPercentage);
         ctx.fillRect(barX, barY, barWidth * healthPercentage, barHeight);
+        
+        // Status effect icons
+        this.renderStatusIcons(ctx, barX, barY);
+    }
+    
+    /**
+     * Render status effect and aura icons in a row above the health bar
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} barX - X position of the health bar
+     * @param {number} barY - Y position of the health bar
+     */
+    renderStatusIcons(ctx, barX, barY) {
+        const icons = [...this.statusEffects, ...this.auras];
+        if (icons.length === 0) return;
+        
+        const iconSize = 9;
+        const y = barY - iconSize - 2;
+        
+        ctx.font = 'bold 8px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        icons.forEach((effect, index) => {
+            const x = barX + index * (iconSize + 1);
+            
+            ctx.fillStyle = effect.color;
+            ctx.fillRect(x, y, iconSize, iconSize);
+            
+            ctx.fillStyle = '#000000';
+            ctx.fillText(effect.stacks > 1 ? effect.stacks : effect.icon, x + iconSize / 2, y + iconSize / 2 + 1);
+        });
+        
+        ctx.textBaseline = 'alphabetic';
     }
     
     /**
@@ -92,24 +198,354 @@ class Unit {
     }
     
     /**
-     * Take damage from an attack
-     * @param {number} amount - Amount of damage to take
-     * @returns {boolean} - True if unit died from this damage
+     * Take damage, after mitigation from armor, magic resist and immunities
+     * @param {number} amount - Amount of damage before mitigation
+     * @param {Object} [options]
+     * @param {string} [options.type='true'] - Damage type (see DamageTypes)
+     * @param {Unit} [options.source=null] - Unit that dealt the damage
+     * @param {string} [options.origin='direct'] - What delivered it: 'attack', 'projectile' or an ability id
+     * @returns {Object} - Result: { amount, mitigated, overkill, killed, deathPrevented, type, source, origin, kill }
+     *                     kill is the attribution record (see createKillRecord) when the damage killed the unit
      */
-    takeDamage(amount) {
-        this.health -= amount;
+    takeDamage(amount, { type = DamageTypes.TRUE, source = null, origin = 'direct' } = {}) {
+        const dealt = this.isImmuneTo(type) ? 0 : amount * this.getDamageMultiplier(type);
+        const result = {
+            amount: Math.min(dealt, this.health),
+            mitigated: amount - dealt,
+            overkill: Math.max(0, dealt - this.health),
+            killed: false,
+            deathPrevented: false,
+            type,
+            source,
+            origin,
+            kill: null
+        };
+        
+        this.health -= dealt;
         if (this.health <= 0) {
             this.health = 0;
-            this.die();
-            return true;
+            
+            // Consecrated units stay dead: no death hook, ledger or revive effect brings them back
+            if (source && source.preventsRevival) {
+                this.consecrated = true;
+            }
+            
+            if (this.runDeathHooks(result)) {
+                result.deathPrevented = true;
+            } else {
+                result.killed = true;
+                result.kill = this.createKillRecord(result);
+                this.die(result);
+                
+                if (this.consecrated) {
+                    this.game.showEffect('consecrate', this.lane, this.position, { color: '#fff59d', duration: 1200 });
+                }
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Build the attribution record for a killing blow
+     * Passed to die() on the damage result and on to Game.resolveKillRewards
+     * @param {Object} result - Damage result of the killing blow
+     * @returns {Object} - { victim, killer, origin, damageType, overkill, consecrated, tick }
+     */
+    createKillRecord(result) {
+        return {
+            victim: this,
+            killer: result.source, // May be null (sourceless damage) or already dead
+            origin: result.origin,
+            damageType: result.type,
+            overkill: result.overkill,
+            consecrated: this.consecrated,
+            tick: this.game.tick
+        };
+    }
+    
+    /**
+     * Register a function to run when the unit is about to die
+     * The hook is called with the unit as `this` and the killing damage result.
+     * Returning true cancels the death; the hook must then restore health.
+     * Returning false lets the death go ahead, so a hook can also replace a
+     * death with something else (spawning a unit, an explosion) and still die.
+     * Hooks are not saved: register them in the constructor and keep their
+     * state on the unit so restored units get them back.
+     * Hooks never run for consecrated units, which cannot cheat death.
+     * @param {Function} hook - (result) => boolean
+     * @returns {Function} - Call to remove the hook
+     */
+    addDeathHook(hook) {
+        this.deathHooks.push(hook);
+        return () => {
+            this.deathHooks = this.deathHooks.filter(existing => existing !== hook);
+        };
+    }
+    
+    /**
+     * Run death hooks in registration order until one cancels the death
+     * @param {Object} result - Damage result of the killing blow
+     * @returns {boolean} - True if the death was cancelled (never for consecrated units)
+     */
+    runDeathHooks(result) {
+        if (this.consecrated) return false;
+        
+        for (const hook of [...this.deathHooks]) {
+            if (hook.call(this, result)) {
+                // A cancelled death must leave the unit alive
+                this.health = Math.max(this.health, 1);
+                return true;
+            }
         }
         return false;
     }
     
+    /**
+     * Restore health, scaled by anti-heal effects and capped at maxHealth
+     * Healing past maxHealth is discarded and reported as overheal
+     * @param {number} amount - Amount of healing before modifiers
+     * @param {Object} [options]
+     * @param {Unit} [options.source=null] - Unit providing the healing
+     * @returns {Object} - Result: { amount, overheal, prevented, source }
+     */
+    heal(amount, { source = null } = {}) {
+        // The dead cannot be healed; revival is a separate path
+        if (this.health <= 0 || amount <= 0) {
+            return { amount: 0, overheal: 0, prevented: 0, source };
+        }
+        
+        const received = amount * Math.max(0, this.getStat('healingReceived'));
+        const healed = Math.min(received, this.maxHealth - this.health);
+        const result = {
+            amount: healed,
+            overheal: received - healed,
+            prevented: amount - received,
+            source
+        };
+        
+        this.health += healed;
+        if (healed > 0) {
+            this.game.events.emit('unit:healed', { unit: this, ...result });
+        }
+        return result;
+    }
+    
+    /**
+     * Check if the unit ignores a damage type entirely
+     * @param {string} type - Damage type
+     * @returns {boolean} - True if immune
+     */
+    isImmuneTo(type) {
+        return this.immunities.includes(type);
+    }
+    
+    /**
+     * Get the fraction of incoming damage of a type that gets through
+     * @param {string} type - Damage type
+     * @returns {number} - Multiplier between 0 and 1
+     */
+    getDamageMultiplier(type) {
+        switch (type) {
+            case DamageTypes.PHYSICAL:
+                return 100 / (100 + Math.max(0, this.getStat('armor')));
+            case DamageTypes.MAGIC:
+                return 100 / (100 + Math.max(0, this.getStat('magicResist')));
+            default:
+                return 1;
+        }
+    }
+    
+    /**
+     * Deal damage to a target through the damage pipeline:
+     * modifyOutgoingDamage -> target.takeDamage (mitigation) -> onHit
+     * @param {Unit} target - Target unit
+     * @param {number} [amount] - Base damage (defaults to effective damage stat)
+     * @param {string} [type] - Damage type (defaults to this unit's damageType)
+     * @param {string} [origin='attack'] - What delivered the damage, for kill attribution
+     * @returns {Object} - Damage result from takeDamage()
+     */
+    dealDamage(target, amount = this.getStat('damage'), type = this.damageType, origin = 'attack') {
+        const modified = this.modifyOutgoingDamage(target, amount, type);
+        const result = target.takeDamage(modified, { type, source: this, origin });
+        this.onHit(target, result);
+        return result;
+    }
+    
+    /**
+     * Hook to adjust damage before it reaches the target
+     * @param {Unit} target - Target unit
+     * @param {number} amount - Damage so far
+     * @param {string} type - Damage type
+     * @returns {number} - Adjusted damage
+     */
+    modifyOutgoingDamage(target, amount, type) {
+        return amount;
+    }
+    
+    /**
+     * Hook called after this unit's damage lands
+     * @param {Unit} target - Target unit
+     * @param {Object} result - Damage result from takeDamage()
+     */
+    onHit(target, result) {
+        // To be implemented by subclasses
+    }
+    
+    /**
+     * Apply a status effect to the unit
+     * Re-applying an effect already on the unit follows its stacking rule
+     * @param {string} type - Key in StatusEffectTypes
+     * @param {Object} [options] - Overrides for the effect definition (duration, modifiers, source...)
+     * @returns {StatusEffect} - The new or refreshed effect
+     */
+    applyStatus(type, options = {}) {
+        const effect = new StatusEffect(type, options);
+        
+        if (effect.stacking !== 'independent') {
+            const existing = this.statusEffects.find(active => active.type === type);
+            if (existing) {
+                existing.reapply(effect.duration);
+                return existing;
+            }
+        }
+        
+        this.statusEffects.push(effect);
+        return effect;
+    }
+    
+    /**
+     * Remove every effect of a type
+     * @param {string} type - Key in StatusEffectTypes
+     */
+    removeStatus(type) {
+        this.statusEffects = this.statusEffects.filter(effect => effect.type !== type);
+    }
+    
+    /**
+     * Remove dispellable effects
+     * @param {Object} [options]
+     * @param {boolean} [options.debuffs=true] - Remove harmful effects
+     * @param {boolean} [options.buffs=false] - Remove helpful effects
+     * @returns {number} - Number of effects removed
+     */
+    dispel({ debuffs = true, buffs = false } = {}) {
+        const before = this.statusEffects.length;
+        
+        this.statusEffects = this.statusEffects.filter(effect =>
+            !effect.dispellable || (effect.isDebuff ? !debuffs : !buffs)
+        );
+        
+        return before - this.statusEffects.length;
+    }
+    
+    /**
+     * Check if the unit has an effect of a type
+     * @param {string} type - Key in StatusEffectTypes
+     * @returns {boolean} - True if the effect is active
+     */
+    hasStatus(type) {
+        return this.statusEffects.some(effect => effect.type === type);
+    }
+    
+    /**
+     * Check if any active effect sets a behaviour flag
+     * @param {string} flag - Flag name
+     * @returns {boolean} - True if the flag is set
+     */
+    hasStatusFlag(flag) {
+        return this.statusEffects.some(effect => effect.hasFlag(flag));
+    }
+    
+    /**
+     * Silenced units cannot use special abilities but still attack
+     * @returns {boolean} - True if silenced
+     */
+    isSilenced() {
+        return this.hasStatusFlag('silenced');
+    }
+    
+    /**
+     * Get a stat with status effect modifiers applied
+     * @param {string} stat - Stat name (damage, attackSpeed, moveSpeed...)
+     * @returns {number} - Effective stat value
+     */
+    getStat(stat) {
+        let value = this[stat];
+        for (const effect of this.statusEffects) {
+            value *= effect.getModifier(stat);
+        }
+        for (const aura of this.auras) {
+            const modifier = aura.modifiers[stat];
+            if (modifier !== undefined) {
+                value *= Math.pow(modifier, aura.stacks);
+            }
+        }
+        return value;
+    }
+    
+    /**
+     * Get the auras this unit projects onto allies in its lane
+     * @returns {Object[]} - Aura definitions: { id, name, icon, color, modifiers, stacking, maxStacks, affectsSelf }
+     */
+    getAuras() {
+        return [];
+    }
+    
+    /**
+     * Replace the auras affecting this unit, applying stacking rules:
+     * - Auras with different ids always combine (their modifiers multiply)
+     * - 'strongest' (default): copies of the same aura do not stack; for each
+     *   stat the modifier furthest from 1 applies
+     * - 'stack': each copy adds a stack, up to maxStacks; a stack multiplies
+     *   the modifiers again, like stacking status effects
+     * @param {Object[]} auras - Auras reaching this unit, each with its source
+     */
+    applyAuras(auras) {
+        const byId = new Map();
+        
+        for (const aura of auras) {
+            const active = byId.get(aura.id);
+            if (!active) {
+                byId.set(aura.id, { ...aura, modifiers: { ...aura.modifiers }, stacks: 1, sources: [aura.source] });
+                continue;
+            }
+            
+            active.sources.push(aura.source);
+            if (aura.stacking === 'stack') {
+                active.stacks = Math.min(aura.maxStacks || Infinity, active.stacks + 1);
+            } else {
+                for (const [stat, modifier] of Object.entries(aura.modifiers)) {
+                    const current = active.modifiers[stat] !== undefined ? active.modifiers[stat] : 1;
+                    if (Math.abs(modifier - 1) > Math.abs(current - 1)) {
+                        active.modifiers[stat] = modifier;
+                    }
+                }
+            }
+        }
+        
+        this.auras = [...byId.values()];
+    }
+    
+    /**
+     * Advance status effects and drop expired ones
+     * Called by the owning tile or lane before update()
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     */
+    updateStatusEffects(deltaTime) {
+        if (this.statusEffects.length === 0) return;
+        
+        for (const effect of this.statusEffects) {
+            effect.update(deltaTime);
+        }
+        
+        this.statusEffects = this.statusEffects.filter(effect => !effect.isExpired());
+    }
+    
     /**
      * Handle unit death
+     * @param {Object} [result] - Damage result from the killing blow (see takeDamage)
      */
-    die() {
+    die(result) {
         // To be implemented by subclasses
     }
     
@@ -124,16 +560,138 @@ class Unit {
         return distance <= this.attackRange;
     }
     
+    /**
+     * Pick the enemies this unit attacks, in targeting strategy order
+     * @param {Unit[]} candidates - Enemy units to choose from
+     * @returns {Unit[]} - Up to targetCount units within attack range
+     */
+    getTargetsInRange(candidates) {
+        const distance = unit => Math.abs(this.position - unit.position);
+        
+        return candidates
+            .filter(unit => distance(unit) <= this.attackRange)
+            .sort((a, b) => this.compareTargets(a, b))
+            .slice(0, this.targetCount);
+    }
+    
+    /**
+     * Order two candidate targets for getTargetsInRange using the unit's targeting strategy
+     * @param {Unit} a - First candidate
+     * @param {Unit} b - Second candidate
+     * @returns {number} - Negative to prefer a, positive to prefer b
+     */
+    compareTargets(a, b) {
+        return TargetingStrategies[this.targeting].compare(this, a, b);
+    }
+    
+    /**
+     * Change how the unit picks its targets
+     * @param {string} strategy - Key in TargetingStrategies
+     * @throws {Error} If the strategy is unknown
+     */
+    setTargeting(strategy) {
+        if (!TargetingStrategies[strategy]) {
+            throw new Error(`Unknown targeting strategy: ${strategy}`);
+        }
+        this.targeting = strategy;
+    }
+    
     /**
      * Attack a target unit
      * @param {Unit} target - Target unit
-     * @returns {boolean} - True if attack was successful
+     * @returns {Object|null} - Damage result, or null if out of range or a projectile was fired
      */
     attack(target) {
-        if (!this.canAttack(target)) return false;
+        if (!this.canAttack(target)) return null;
+        
+        // Ranged units fire a projectile that deals the damage on arrival
+        if (this.projectileSpeed > 0) {
+            this.fireProjectile(target);
+            return null;
+        }
         
         // Apply damage to target
-        return target.takeDamage(this.damage);
+        return this.dealDamage(target);
+    }
+    
+    /**
+     * Launch a projectile at a target
+     * @param {Unit} target - Target unit
+     * @returns {Projectile} - The projectile added to the lane
+     */
+    fireProjectile(target) {
+        const projectile = new Projectile(this.lane, this.position, this.game, {
+            team: this instanceof Hero ? 'hero' : 'minion',
+            damage: this.getStat('damage'),
+            damageType: this.damageType,
+            direction: Math.sign(target.position - this.position) || 1,
+            speed: this.projectileSpeed,
+            mode: this.projectileMode,
+            target: this.projectileMode === 'target' ? target : null,
+            source: this,
+            maxRange: this.attackRange + 1,
+            color: this.projectileColor
+        });
+        
+        this.game.lanes[this.lane].addProjectile(projectile);
+        return projectile;
+    }
+    
+    /**
+     * Get the type key used to recreate this unit from a save
+     * @returns {string} - Type key
+     */
+    getType() {
+        return this.constructor.name.toLowerCase();
+    }
+    
+    /**
+     * Snapshot the unit's state for a save game
+     * @returns {Object} - Plain data that restoreState() accepts
+     */
+    serialize() {
+        return {
+            type: this.getType(),
+            position: this.position,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            damage: this.damage,
+            attackSpeed: this.attackSpeed,
+            attackRange: this.attackRange,
+            moveSpeed: this.moveSpeed,
+            armor: this.armor,
+            magicResist: this.magicResist,
+            attackCooldown: this.attackCooldown,
+            targeting: this.targeting,
+            statusEffects: this.statusEffects.map(effect => effect.serialize())
+        };
+    }
+    
+    /**
+     * Restore state produced by serialize()
+     * @param {Object} data - Serialized unit state
+     */
+    restoreState(data) {
+        this.position = data.position;
+        this.previousPosition = data.position;
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.damage = data.damage;
+        this.attackSpeed = data.attackSpeed;
+        this.attackRange = data.attackRange;
+        this.moveSpeed = data.moveSpeed;
+        this.armor = data.armor;
+        this.magicResist = data.magicResist;
+        this.attackCooldown = data.attackCooldown;
+        this.setTargeting(data.targeting);
+        
+        // Sources are not saved; restored effects are unattributed
+        this.statusEffects = data.statusEffects.map(saved => {
+            const effect = new StatusEffect(saved.type, saved.options);
+            effect.remaining = saved.remaining;
+            effect.stacks = saved.stacks;
+            return effect;
+        });
     }
     
     /**
@@ -143,10 +701,17 @@ class Unit {
      */
     move(deltaTime, direction) {
         // Calculate movement distance
-        const distance = (this.moveSpeed * deltaTime) / 1000;
+        const distance = (this.getStat('moveSpeed') * deltaTime) / 1000;
         this.position += distance * direction;
         
         // Clamp position to valid range
         this.position = Math.max(0, Math.min(this.game.tileCount - 1, this.position));
     }
+    
+    /**
+     * Default targeting strategy for the class (key in TargetingStrategies)
+     */
+    static get targeting() {
+        return 'closest';
+    }
 }
\ No newline at end of file
@@ -7,8 +7,10 @@ let game;
 
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize game
-    game = new Game('game-canvas');
+    // Initialize game, optionally with a fixed seed (?seed=12345) to reproduce a run
+    const params = new URLSearchParams(window.location.search);
+    const seed = Random.parseSeed(params.get('seed'));
+    game = new Game('game-canvas', seed !== null ? { seed } : {});
     
     // Initialize input handler
     game.inputHandler = new InputHandler(game);
@@ -19,42 +21,124 @@ document.addEventListener('DOMContentLoaded', () => {
     // Create minion selection buttons
     createMinionButtons(game);
     
+    // Replay export/import buttons
+    setupReplayButtons(game);
+    
+    // LocalStorage save slots
+    game.saveManager = new SaveManager();
+    setupSaveButtons(game);
+    
+    // Placed minion details, opened by clicking a minion
+    game.inspectPanel = new InspectPanel(game);
+    
+    // Hero bestiary
+    game.bestiary = new Bestiary();
+    document.getElementById('open-bestiary').addEventListener('click', () => game.bestiary.toggle());
+    
     // Start game loop
     game.start();
 });
 
 /**
- * Get minion stats for tooltip display
+ * Get minion stats for tooltip and inspect panel display
  * @param {Function} MinionClass - The minion class
+ * @param {Minion} [minion] - A placed minion to show current health and effects for
  * @returns {Object} Stats object with minion information
  */
-function getMinionStats(MinionClass) {
+function getMinionStats(MinionClass, minion = null) {
     // Create a temporary instance to get instance properties
-    const tempInstance = new MinionClass(0, 0, null);
+    const tempInstance = minion || new MinionClass(0, 0, null);
     
     return {
         name: MinionClass.name,
         description: MinionClass.description,
         cost: MinionClass.cost,
         stats: {
-            'Health': tempInstance.health,
+            'Health': minion ? `${Math.ceil(minion.health)}/${minion.maxHealth}` : tempInstance.health,
             'Damage': tempInstance.damage,
             'Attack Speed': tempInstance.attackSpeed.toFixed(1) + '/s',
             'Range': tempInstance.attackRange,
-            'Move Speed': tempInstance.moveSpeed.toFixed(1)
+            'Move Speed': tempInstance.moveSpeed.toFixed(1),
+            'Damage Type': tempInstance.damageType
+        },
+        abilities: MinionClass.abilities.map(ability => ({
+            ...ability,
+            name: ability.passive ? `${ability.name} (passive)` : ability.name
+        })),
+        effects: minion ? describeActiveEffects(minion) : []
+    };
+}
+
+/**
+ * Get hero stats for tooltip and bestiary display
+ * @param {Function} HeroClass - The hero class
+ * @param {Hero} [hero] - A live hero to show current stats for (base stats if omitted)
+ * @returns {Object} Stats object with hero information
+ */
+function getHeroStats(HeroClass, hero = null) {
+    // Create a temporary instance to get base instance properties
+    const instance = hero || new HeroClass(0, 0, null);
+    
+    // Live heroes show effective values, with the wave-scaled base when buffs change them
+    const stat = (name, digits, suffix = '') => {
+        const base = instance[name];
+        const value = instance.getStat(name);
+        const text = value.toFixed(digits) + suffix;
+        return Math.abs(value - base) < 0.001 ? text : `${text} (base ${base.toFixed(digits)})`;
+    };
+    
+    return {
+        name: HeroClass.name,
+        description: HeroClass.description,
+        stats: {
+            'Threat': '★'.repeat(HeroClass.threatTier),
+            'First Wave': HeroClass.firstWave,
+            'Health': hero ? `${Math.ceil(hero.health)}/${hero.maxHealth}` : instance.health,
+            'Damage': stat('damage', 0),
+            'Attack Speed': stat('attackSpeed', 1, '/s'),
+            'Range': instance.attackRange,
+            'Move Speed': stat('moveSpeed', 2),
+            'Damage Type': instance.damageType,
+            'Armor': stat('armor', 0),
+            'Magic Resist': stat('magicResist', 0),
+            ...(instance.detectionRange > 0 ? { 'Detection': `${instance.detectionRange} tiles` } : {})
         },
-        abilities: [
-            // Special abilities can be added here
-            // Example:
-            // {
-            //     name: 'Special Ability',
-            //     description: 'Does something special',
-            //     cooldown: '10s'
-            // }
-        ]
+        abilities: [],
+        effects: hero ? describeActiveEffects(hero) : []
     };
 }
 
+/**
+ * Describe the status effects and auras currently on a unit, for tooltips
+ * @param {Unit} unit - The unit to describe
+ * @returns {Object[]} Entries of { name, description, isDebuff }
+ */
+function describeActiveEffects(unit) {
+    const describeModifiers = (modifiers, stacks) => Object.entries(modifiers).map(([stat, modifier]) => {
+        const percent = Math.round((Math.pow(modifier, stacks) - 1) * 100);
+        const label = stat.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return `${percent >= 0 ? '+' : ''}${percent}% ${label}`;
+    });
+    
+    const effects = unit.statusEffects.map(effect => ({
+        name: effect.stacks > 1 ? `${effect.name} x${effect.stacks}` : effect.name,
+        description: [
+            ...describeModifiers(effect.modifiers, effect.stacks),
+            ...effect.flags,
+            `${(effect.remaining / 1000).toFixed(1)}s left`
+        ].join(', '),
+        isDebuff: effect.isDebuff
+    }));
+    
+    const auras = unit.auras.map(aura => ({
+        name: aura.stacks > 1 ? `${aura.name} x${aura.stacks}` : aura.name,
+        description: `${describeModifiers(aura.modifiers, aura.stacks).join(', ')} (lane aura from ${aura.sources[0].constructor.name})`,
+        isDebuff: aura.isDebuff
+    }));
+    
+    return [...effects, ...auras];
+}
+
 /**
  * Create minion selection buttons
  * @param {Game} game - The game instance
@@ -97,6 +181,9 @@ function createMinionButtons(game) {
         
         // Add click handler
         button.addEventListener('click', () => {
+            // No manual placement while watching a replay
+            if (game.replayPlayer) return;
+            
             // Toggle selection
             if (game.inputHandler.uiState.selectedMinion === type) {
                 game.inputHandler.deselectMinion();
@@ -141,6 +228,119 @@ function createMinionButtons(game) {
     }
 }
 
+/**
+ * Wire up the replay export and load buttons
+ * @param {Game} game - The game instance
+ */
+function setupReplayButtons(game) {
+    const exportButton = document.getElementById('export-replay');
+    const loadButton = document.getElementById('load-replay');
+    const fileInput = document.getElementById('replay-file');
+    
+    exportButton.addEventListener('click', () => {
+        const replay = game.exportReplay();
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `undawn-replay-${replay.seed}-${replay.endTick}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+    
+    loadButton.addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                startReplayViewer(game, JSON.parse(reader.result));
+            } catch (error) {
+                console.error('Could not load replay:', error);
+                alert(`Could not load replay: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+        
+        // Allow loading the same file again
+        fileInput.value = '';
+    });
+}
+
+/**
+ * Switch the game into replay viewer mode
+ * @param {Game} game - The game instance
+ * @param {Object} replay - Replay data
+ */
+function startReplayViewer(game, replay) {
+    if (game.replayControls) {
+        game.replayControls.destroy();
+    }
+    
+    game.inputHandler.deselectMinion();
+    game.startReplay(replay);
+    game.replayControls = new ReplayControls(game, () => {
+        document.body.classList.remove('replay-mode');
+    });
+    document.body.classList.add('replay-mode');
+}
+
+/**
+ * Wire up the save slot picker and save/load buttons
+ * @param {Game} game - The game instance
+ */
+function setupSaveButtons(game) {
+    const slotSelect = document.getElementById('save-slot');
+    const saveButton = document.getElementById('save-game');
+    const loadButton = document.getElementById('load-game');
+    
+    // Show when each slot was last written
+    const refreshSlotLabels = () => {
+        const saves = game.saveManager.list();
+        for (const option of slotSelect.options) {
+            const name = option.dataset.name || option.textContent;
+            option.dataset.name = name;
+            
+            const save = saves.find(entry => entry.slot === option.value);
+            option.textContent = save
+                ? `${name} (Wave ${save.waveNumber}, ${new Date(save.savedAt).toLocaleTimeString()})`
+                : `${name} (empty)`;
+        }
+    };
+    
+    saveButton.addEventListener('click', () => {
+        if (game.replayPlayer || game.gameOver) return;
+        
+        game.saveManager.save(slotSelect.value, game);
+        refreshSlotLabels();
+        game.showFloatingText('Game saved', game.width / 2, 80, '#4caf50', 1500);
+    });
+    
+    loadButton.addEventListener('click', () => {
+        if (game.replayPlayer) return;
+        
+        try {
+            const snapshot = game.saveManager.load(slotSelect.value);
+            if (!snapshot) return;
+            
+            game.inputHandler.deselectMinion();
+            game.restore(snapshot);
+            game.isPaused = false;
+            game.showFloatingText('Game loaded', game.width / 2, 80, '#4caf50', 1500);
+        } catch (error) {
+            console.error('Could not load save:', error);
+            alert(`Could not load save: ${error.message}`);
+        }
+    });
+    
+    slotSelect.addEventListener('focus', refreshSlotLabels);
+    refreshSlotLabels();
+}
+
 // Handle window resize for responsive layout
 window.addEventListener('resize', () => {
     if (game) {
@@ -0,0 +1,91 @@
+/**
+ * Bestiary - In-game reference of every hero in HeroRegistry
+ */
+class Bestiary {
+    constructor() {
+        this.visible = false;
+        this.element = this.createElement();
+        document.body.appendChild(this.element);
+
+        // Close with Escape like the tooltip
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Build the bestiary panel
+     * @returns {HTMLElement} Panel element
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'bestiary';
+        panel.innerHTML = `
+            <div class="bestiary-header">
+                <h2>Bestiary</h2>
+                <button class="bestiary-close" type="button">&times;</button>
+            </div>
+            <div class="bestiary-entries"></div>
+        `;
+
+        panel.querySelector('.bestiary-close').addEventListener('click', () => this.hide());
+        return panel;
+    }
+
+    /**
+     * Render one entry per registered hero, ordered by first appearance
+     */
+    renderEntries() {
+        const heroes = Object.values(HeroRegistry)
+            .sort((a, b) => a.firstWave - b.firstWave || a.threatTier - b.threatTier);
+
+        this.element.querySelector('.bestiary-entries').innerHTML = heroes.map(HeroClass => {
+            const { name, description, stats } = getHeroStats(HeroClass);
+            const color = new HeroClass(0, 0, null).color;
+            const statRows = Object.entries(stats)
+                .map(([stat, value]) => `<span class="tooltip-stat-name">${stat}:</span><span class="tooltip-stat-value">${value}</span>`)
+                .join('');
+
+            return `
+                <div class="bestiary-entry">
+                    <div class="minion-icon" style="background-color: ${color}"></div>
+                    <div>
+                        <div class="tooltip-title">${name}</div>
+                        <div class="tooltip-description">${description}</div>
+                        <div class="tooltip-stats">${statRows}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the bestiary
+     */
+    show() {
+        this.renderEntries();
+        this.element.classList.add('visible');
+        this.visible = true;
+    }
+
+    /**
+     * Hide the bestiary
+     */
+    hide() {
+        this.element.classList.remove('visible');
+        this.visible = false;
+    }
+
+    /**
+     * Toggle the bestiary
+     */
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+}
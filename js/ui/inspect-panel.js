@@ -0,0 +1,98 @@
+/**
+ * InspectPanel - Details of a placed minion, opened by clicking it
+ * Also lets the player change the minion's targeting strategy
+ */
+class InspectPanel {
+    /**
+     * @param {Game} game - The game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.minion = null;
+        this.element = this.createElement();
+        document.body.appendChild(this.element);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Build the panel
+     * @returns {HTMLElement} Panel element
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'inspect-panel';
+        panel.innerHTML = `
+            <div class="inspect-header">
+                <h2>Inspect</h2>
+                <button class="inspect-close" type="button">&times;</button>
+            </div>
+            <div class="inspect-details"></div>
+            <label class="inspect-targeting">
+                <span>Targeting</span>
+                <select class="header-select"></select>
+            </label>
+            <div class="inspect-targeting-description tooltip-description"></div>
+        `;
+
+        this.targetingSelect = panel.querySelector('.inspect-targeting select');
+        this.targetingSelect.innerHTML = Object.entries(TargetingStrategies)
+            .map(([key, strategy]) => `<option value="${key}">${strategy.name}</option>`)
+            .join('');
+        this.targetingSelect.addEventListener('change', () => this.changeTargeting(this.targetingSelect.value));
+
+        panel.querySelector('.inspect-close').addEventListener('click', () => this.hide());
+        return panel;
+    }
+
+    /**
+     * Show a minion's details
+     * @param {Minion} minion - The minion to inspect
+     */
+    show(minion) {
+        this.minion = minion;
+        this.render();
+        this.element.classList.add('visible');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.minion = null;
+        this.element.classList.remove('visible');
+    }
+
+    /**
+     * Redraw the panel for the inspected minion
+     */
+    render() {
+        const minion = this.minion;
+        const data = getMinionStats(minion.constructor, minion);
+
+        this.element.querySelector('.inspect-details').innerHTML = this.game.tooltipManager.createTooltipHTML(data);
+        this.targetingSelect.value = minion.targeting;
+        this.element.querySelector('.inspect-targeting-description').textContent =
+            TargetingStrategies[minion.targeting].description;
+    }
+
+    /**
+     * Apply a new targeting strategy to the inspected minion
+     * Goes through the game so the change is recorded in the replay
+     * @param {string} strategy - Key in TargetingStrategies
+     */
+    changeTargeting(strategy) {
+        const minion = this.minion;
+        if (!minion || minion.health <= 0) {
+            this.hide();
+            return;
+        }
+
+        this.game.setMinionTargeting(minion.lane, Math.floor(minion.position), strategy);
+        this.render();
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * ReplayControls - Playback controls shown while watching a replay
+ * Play/pause, seek bar and 1x/2x/4x speed buttons over the game board
+ */
+class ReplayControls {
+    /**
+     * @param {Game} game - The game playing the replay
+     * @param {Function} [onExit] - Called after the viewer leaves replay mode
+     */
+    constructor(game, onExit = null) {
+        this.game = game;
+        this.onExit = onExit;
+        this.isSeeking = false;
+
+        this.container = this.createElement();
+        const board = game.canvas.parentElement;
+        board.appendChild(this.container);
+    }
+
+    /**
+     * Build the controls panel
+     * @returns {HTMLElement} Panel element
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'replay-controls';
+        panel.innerHTML = `
+            <span class="replay-label">REPLAY</span>
+            <button class="replay-play" type="button">Pause</button>
+            <input class="replay-seek" type="range" min="0" max="${this.game.replayPlayer.endTick}" value="0">
+            <span class="replay-time"></span>
+            <div class="replay-speeds">
+                <button type="button" data-speed="1">1x</button>
+                <button type="button" data-speed="2">2x</button>
+                <button type="button" data-speed="4">4x</button>
+            </div>
+            <button class="replay-exit" type="button">Exit</button>
+        `;
+
+        this.playButton = panel.querySelector('.replay-play');
+        this.seekBar = panel.querySelector('.replay-seek');
+        this.timeLabel = panel.querySelector('.replay-time');
+        this.speedButtons = panel.querySelectorAll('.replay-speeds button');
+
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+
+        // Seek once the user lets go; dragging only updates the label
+        this.seekBar.addEventListener('input', () => {
+            this.isSeeking = true;
+            this.updateTimeLabel(Number(this.seekBar.value));
+        });
+        this.seekBar.addEventListener('change', () => {
+            this.game.replayPlayer.seek(Number(this.seekBar.value));
+            this.isSeeking = false;
+        });
+
+        this.speedButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.game.setTimeScale(Number(button.dataset.speed));
+            });
+        });
+
+        panel.querySelector('.replay-exit').addEventListener('click', () => this.exit());
+
+        return panel;
+    }
+
+    /**
+     * Toggle between playing and paused, restarting a finished replay
+     */
+    togglePlayback() {
+        const player = this.game.replayPlayer;
+        if (this.game.isPaused && player.isFinished()) {
+            player.seek(0);
+        }
+        this.game.togglePause();
+    }
+
+    /**
+     * Sync the controls with the playback state, called every frame
+     */
+    update() {
+        const player = this.game.replayPlayer;
+        if (!player) return;
+
+        this.playButton.textContent = this.game.isPaused ? 'Play' : 'Pause';
+
+        if (!this.isSeeking) {
+            this.seekBar.value = this.game.tick;
+            this.updateTimeLabel(this.game.tick);
+        }
+
+        this.speedButtons.forEach(button => {
+            button.classList.toggle('selected', Number(button.dataset.speed) === this.game.timeScale);
+        });
+    }
+
+    /**
+     * Show elapsed and total replay time
+     * @param {number} tick - Tick to display
+     */
+    updateTimeLabel(tick) {
+        const format = (ticks) => {
+            const seconds = Math.floor(ticks * this.game.fixedTimeStep / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        this.timeLabel.textContent = `${format(tick)} / ${format(this.game.replayPlayer.endTick)}`;
+    }
+
+    /**
+     * Leave replay mode
+     */
+    exit() {
+        this.destroy();
+        this.game.replayControls = null;
+        this.game.stopReplay();
+
+        if (this.onExit) {
+            this.onExit();
+        }
+    }
+
+    /**
+     * Remove the controls from the page
+     */
+    destroy() {
+        if (this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
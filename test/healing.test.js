@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../tools/headless');
+
+/**
+ * Create a game with no waves scheduled, so units can be placed by hand
+ * @returns {Object} The simulation globals and the game
+ */
+function createQuietGame() {
+    const sim = loadSimulation({ console: { log() {}, warn() {}, error: console.error } });
+    const game = new sim.Game(null, { seed: 1 });
+    game.scheduler.clear();
+    return { sim, game };
+}
+
+test('healing is capped at max health and reports the overheal', () => {
+    const { game } = createQuietGame();
+    const hero = game.createHero('militiant', 0, 8);
+    hero.health = hero.maxHealth - 10;
+
+    const result = hero.heal(25);
+
+    assert.strictEqual(hero.health, hero.maxHealth);
+    assert.strictEqual(result.amount, 10);
+    assert.strictEqual(result.overheal, 15);
+});
+
+test('anti-heal halves the healing a unit receives', () => {
+    const { game } = createQuietGame();
+    const hero = game.createHero('militiant', 0, 8);
+    hero.health = 10;
+    hero.applyStatus('antiheal');
+
+    const result = hero.heal(20);
+
+    assert.strictEqual(hero.health, 20);
+    assert.strictEqual(result.amount, 10);
+    assert.strictEqual(result.prevented, 10);
+});
+
+test('Gravemaid hits apply anti-heal to the hero they land on', () => {
+    const { sim, game } = createQuietGame();
+    const lane = game.lanes[0];
+    const gravemaid = new sim.MinionRegistry.gravemaid(0, 1, game);
+    lane.placeMinion(gravemaid, 1);
+
+    const hero = game.createHero('militiant', 0, 2.5);
+    lane.addHero(hero);
+    gravemaid.attack(hero);
+
+    assert.ok(hero.health > 0);
+    assert.ok(hero.hasStatus('antiheal'));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../tools/headless');
+
+/**
+ * Create a game with no waves scheduled, so units can be placed by hand
+ * @returns {Object} The simulation globals and the game
+ */
+function createQuietGame() {
+    const sim = loadSimulation({ console: { log() {}, warn() {}, error: console.error } });
+    const game = new sim.Game(null, { seed: 1 });
+    game.scheduler.clear();
+    return { sim, game };
+}
+
+/**
+ * Place a minion on a free tile
+ * @returns {Minion} The placed minion
+ */
+function place(sim, game, type, laneIndex, tile) {
+    const minion = new sim.MinionRegistry[type](laneIndex, tile, game);
+    game.lanes[laneIndex].placeMinion(minion, tile);
+    return minion;
+}
+
+/**
+ * Have a minion land the killing blow on a fresh hero and collect the rewards
+ * @returns {Object[]} Rewards resolved for the kill
+ */
+function killHeroWith(game, killer) {
+    const hero = game.createHero('militiant', killer.lane, killer.position + 1);
+    game.lanes[killer.lane].addHero(hero);
+
+    let rewards = null;
+    game.events.on('unit:killed', ({ rewards: resolved }) => { rewards = resolved; });
+    killer.dealDamage(hero, hero.maxHealth * 10);
+    return rewards;
+}
+
+test('Dreadchant harvests a hero killed by a minion within range in its lane', () => {
+    const { sim, game } = createQuietGame();
+    place(sim, game, 'dreadchant', 2, 0);
+    const ashling = place(sim, game, 'ashling', 2, 3);
+
+    const rewards = killHeroWith(game, ashling);
+
+    assert.ok(rewards.some(reward => reward.id === 'soulHarvest' && !reward.vetoedBy));
+});
+
+test('Dreadchant ignores kills beyond its range', () => {
+    const { sim, game } = createQuietGame();
+    place(sim, game, 'dreadchant', 2, 0);
+    const ashling = place(sim, game, 'ashling', 2, 4);
+
+    const rewards = killHeroWith(game, ashling);
+
+    assert.ok(!rewards.some(reward => reward.id === 'soulHarvest'));
+});
+
+test('minion deaths pay no base reward', () => {
+    const { sim, game } = createQuietGame();
+    const ashling = place(sim, game, 'ashling', 2, 3);
+    const hero = game.createHero('militiant', 2, 4);
+    game.lanes[2].addHero(hero);
+
+    let rewards = null;
+    game.events.on('unit:killed', ({ rewards: resolved }) => { rewards = resolved; });
+    hero.dealDamage(ashling, ashling.maxHealth * 10);
+
+    assert.strictEqual(rewards.length, 0);
+});
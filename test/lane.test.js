@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../tools/headless');
+
+/**
+ * Create a game with no waves scheduled, so units can be placed by hand
+ * @returns {Object} The simulation globals and the game
+ */
+function createQuietGame() {
+    const sim = loadSimulation({ console: { log() {}, warn() {}, error: console.error } });
+    const game = new sim.Game(null, { seed: 1 });
+    game.scheduler.clear();
+    return { sim, game };
+}
+
+test('a Carrion Husk blast that kills heroes mid-update does not break the lane loop', () => {
+    const { sim, game } = createQuietGame();
+    const lane = game.lanes[3];
+
+    const husk = new sim.MinionRegistry.carrionhusk(3, 2, game);
+    husk.health = 1;
+    lane.placeMinion(husk, 2);
+
+    // The hero added last kills the husk, and the blast takes the whole group with it
+    const heroes = [];
+    for (let i = 0; i < 3; i++) {
+        const hero = game.createHero('militiant', 3, 2.6);
+        hero.health = 1;
+        hero.attackCooldown = i === 2 ? 0 : 1000;
+        lane.addHero(hero);
+        heroes.push(hero);
+    }
+
+    assert.doesNotThrow(() => game.step());
+    assert.strictEqual(lane.tiles[2].minion, null);
+    assert.strictEqual(lane.heroes.length, 0);
+    assert.ok(heroes.every(hero => hero.health <= 0));
+});
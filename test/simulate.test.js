@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { simulate } = require('../tools/simulate');
+
+const basicPlan = require(path.join(__dirname, '../tools/plans/basic.json'));
+
+test('the basic plan survives every wave it asks for', () => {
+    const outcome = simulate(basicPlan);
+
+    assert.strictEqual(outcome.result, 'survived');
+    assert.strictEqual(outcome.waveReached, basicPlan.waves);
+    assert.strictEqual(outcome.placementsSkipped, 0);
+    assert.strictEqual(outcome.placementsPending, 0);
+});
+
+test('the basic plan survives under other seeds', () => {
+    for (const seed of [1, 7]) {
+        const outcome = simulate({ ...basicPlan, seed });
+        assert.strictEqual(outcome.result, 'survived', `seed ${seed}`);
+    }
+});
+
+test('the same seed and plan always give the same outcome', () => {
+    assert.deepStrictEqual(simulate(basicPlan), simulate(basicPlan));
+});
@@ -0,0 +1,63 @@
+/**
+ * Headless loader - Runs the browser game scripts inside a Node VM context
+ * The game code is written as plain browser scripts sharing one global scope,
+ * so instead of converting it to modules we evaluate the simulation files in
+ * the same order index.html loads them.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Simulation scripts in load order; rendering, input and DOM UI are left out
+const SIMULATION_SCRIPTS = [
+    'js/data/waves.js',
+    'js/engine/event-system.js',
+    'js/engine/scheduler.js',
+    'js/engine/random.js',
+    'js/engine/replay.js',
+    'js/engine/save-manager.js',
+    'js/engine/death-ledger.js',
+    'js/engine/game.js',
+    'js/entities/unit.js',
+    'js/entities/targeting.js',
+    'js/entities/status-effect.js',
+    'js/entities/projectile.js',
+    'js/entities/hero.js',
+    'js/entities/minion.js',
+    'js/entities/tile.js',
+    'js/entities/lane.js'
+];
+
+/**
+ * Load the simulation classes into a fresh VM context
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.console=console] - Console the game code logs to
+ * @returns {Object} The simulation globals (Game, MinionRegistry, Random, ...)
+ */
+function loadSimulation(options = {}) {
+    const context = vm.createContext({
+        console: options.console || console
+    });
+
+    for (const script of SIMULATION_SCRIPTS) {
+        const filename = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return vm.runInContext('({ Game, MinionRegistry, Random, ReplayPlayer, SaveManager, DefaultCampaign })', context);
+}
+
+/**
+ * Create a headless game instance
+ * @param {Object} [options] - Options passed to the Game constructor
+ * @param {Object} [loaderOptions] - Options passed to loadSimulation()
+ * @returns {Game} A game that can be driven with step()
+ */
+function createHeadlessGame(options = {}, loaderOptions = {}) {
+    const { Game } = loadSimulation(loaderOptions);
+    return new Game(null, options);
+}
+
+module.exports = { SIMULATION_SCRIPTS, loadSimulation, createHeadlessGame };
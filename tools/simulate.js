@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation runner
+ * Plays N waves with a scripted placement plan and prints the outcome.
+ *
+ * Usage: node tools/simulate.js [plan.json] [--waves N] [--seed S] [--campaign waves.json] [--json] [--verbose]
+ *
+ * A plan is a JSON file of the form:
+ * {
+ *   "seed": 12345,
+ *   "waves": 3,
+ *   "placements": [
+ *     { "wave": 0, "minion": "ashling", "lane": 3, "tile": 1 },
+ *     { "wave": 1, "tick": 2400, "minion": "gravelim", "lane": 3, "tile": 0, "targeting": "furthestAdvanced" }
+ *   ]
+ * }
+ * Placements are attempted in order once their wave (and tick, if given) is
+ * reached, waiting for enough Daen like a player would. An optional
+ * "targeting" (key in TargetingStrategies) is applied right after placing. A plan may also carry
+ * a "campaign" (same shape as js/data/waves.js) to test custom waves.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadSimulation } = require('./headless');
+
+const TICKS_PER_MINUTE = 60 * 60;
+const MAX_TICKS = TICKS_PER_MINUTE * 60; // Give up after an hour of simulated time
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const args = { planPath: null, waves: null, seed: null, campaignPath: null, json: false, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--waves':
+                args.waves = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                args.seed = argv[++i];
+                break;
+            case '--campaign':
+                args.campaignPath = argv[++i];
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.planPath = arg;
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Load a placement plan from disk
+ * @param {string|null} planPath - Path to the plan JSON file
+ * @returns {Object} Plan with seed, waves and placements
+ */
+function loadPlan(planPath) {
+    if (!planPath) {
+        return { waves: 1, placements: [] };
+    }
+    return JSON.parse(fs.readFileSync(path.resolve(planPath), 'utf8'));
+}
+
+/**
+ * Check whether the requested number of waves has been cleared
+ * @param {Game} game - The game instance
+ * @param {number} waves - Number of waves to play
+ * @returns {boolean} True once wave `waves` is fully defeated
+ */
+function wavesCleared(game, waves) {
+    return game.waveNumber >= waves && game.isPreparingNextWave;
+}
+
+/**
+ * Try to perform the placements that are due
+ * @param {Game} game - The game instance
+ * @param {Object[]} pending - Remaining placements, consumed in order
+ * @param {Object} stats - Placement counters to update
+ */
+function applyPlacements(game, pending, stats) {
+    while (pending.length > 0) {
+        const placement = pending[0];
+        if ((placement.wave || 0) > game.waveNumber) return;
+        if (placement.tick !== undefined && placement.tick > game.tick) return;
+
+        const lane = game.lanes[placement.lane];
+        if (!lane || !lane.canPlaceAt(placement.tile)) {
+            // Occupied or invalid tile: this placement can never succeed
+            stats.skipped.push(placement);
+            pending.shift();
+            continue;
+        }
+
+        game.selectMinion(placement.minion);
+        if (!game.placeMinionAt(placement.lane, placement.tile)) {
+            // Not enough Daen yet, try again next tick
+            return;
+        }
+        if (placement.targeting) {
+            game.setMinionTargeting(placement.lane, placement.tile, placement.targeting);
+        }
+
+        stats.placed++;
+        pending.shift();
+    }
+}
+
+/**
+ * Run a simulation
+ * @param {Object} plan - Placement plan (seed may be a number or any string)
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.verbose=false] - Show the game's console output
+ * @returns {Object} Outcome summary
+ */
+function simulate(plan, options = {}) {
+    const quietConsole = { log() {}, warn() {}, error: console.error };
+    const { Game, Random } = loadSimulation({ console: options.verbose ? console : quietConsole });
+
+    const seed = plan.seed !== undefined ? Random.parseSeed(plan.seed) : null;
+    const gameOptions = {};
+    if (seed !== null) gameOptions.seed = seed;
+    if (plan.campaign) gameOptions.campaign = plan.campaign;
+    const game = new Game(null, gameOptions);
+
+    const waves = plan.waves || 1;
+    const pending = [...(plan.placements || [])];
+    const stats = { placed: 0, skipped: [] };
+
+    while (!game.gameOver && !wavesCleared(game, waves) && game.tick < MAX_TICKS) {
+        applyPlacements(game, pending, stats);
+        game.step();
+    }
+
+    let result;
+    if (game.gameOver) {
+        result = game.victory ? 'victory' : 'defeat';
+    } else if (wavesCleared(game, waves)) {
+        result = 'survived';
+    } else {
+        result = 'timeout';
+    }
+
+    return {
+        seed: game.seed,
+        result,
+        wavesRequested: waves,
+        waveReached: game.waveNumber,
+        ticks: game.tick,
+        simulatedSeconds: Math.round(game.tick * game.fixedTimeStep / 1000),
+        daen: Math.floor(game.daen),
+        minionsAlive: game.lanes.reduce((total, lane) => total + lane.minions.length, 0),
+        heroesAlive: game.lanes.reduce((total, lane) => total + lane.heroes.length, 0),
+        placementsMade: stats.placed,
+        placementsSkipped: stats.skipped.length,
+        placementsPending: pending.length
+    };
+}
+
+/**
+ * Print an outcome summary for humans
+ * @param {Object} outcome - Result of simulate()
+ */
+function printOutcome(outcome) {
+    const lines = [
+        ['Seed', outcome.seed],
+        ['Result', `${outcome.result} (wave ${outcome.waveReached} of ${outcome.wavesRequested})`],
+        ['Simulated', `${outcome.simulatedSeconds}s (${outcome.ticks} ticks)`],
+        ['Daen', outcome.daen],
+        ['Minions alive', outcome.minionsAlive],
+        ['Heroes alive', outcome.heroesAlive],
+        ['Placements', `${outcome.placementsMade} made, ${outcome.placementsSkipped} skipped, ${outcome.placementsPending} pending`]
+    ];
+
+    for (const [label, value] of lines) {
+        console.log(`${(label + ':').padEnd(15)}${value}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const plan = loadPlan(args.planPath);
+        if (args.waves !== null) plan.waves = args.waves;
+        if (args.seed !== null) plan.seed = args.seed;
+        if (args.campaignPath !== null) {
+            plan.campaign = JSON.parse(fs.readFileSync(path.resolve(args.campaignPath), 'utf8'));
+        }
+
+        const outcome = simulate(plan, { verbose: args.verbose });
+        if (args.json) {
+            console.log(JSON.stringify(outcome, null, 2));
+        } else {
+            printOutcome(outcome);
+        }
+        process.exitCode = outcome.result === 'defeat' ? 1 : 0;
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { simulate };